@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+// Batch conversion from the command line: every PNG/JPEG in a folder goes
+// through the same pipeline as the app and comes out as a template SVG, a
+// painted preview PNG and the result as JSON.
+//
+//   paint-by-numbers <folder> [--out dir] [--settings file.json] ...
+//
+// Run with --help for the options.
+import { readFile, writeFile, readdir, mkdir } from 'node:fs/promises';
+import { join, extname, basename, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+import { processImage, processPreset, suggestColorCount } from '../src/pipeline/process.js';
+import { DIFFICULTY_PRESETS } from '../src/pipeline/metrics.js';
+import { DEFAULT_PREPROCESS } from '../src/pipeline/preprocess.js';
+import { COLOR_METRICS, DEFAULT_COLOR_DISTANCE } from '../src/pipeline/colorDistance.js';
+import { buildTemplateSvg } from '../src/utils/svgExport.js';
+import { lab2rgb } from '../src/utils/color.js';
+import { DEFAULT_PAINT_LIST, parsePaintList } from '../src/utils/paints.js';
+
+// Same working size as the app's preview
+const DEFAULT_MAX_SIZE = 1200;
+
+const FORMATS = ['svg', 'png', 'json'];
+
+// Same defaults as the app's controls
+const DEFAULT_SETTINGS = {
+    kColors: 20,
+    minRegionSize: 20,
+    paletteMode: 'kmeans',
+    paints: parsePaintList(DEFAULT_PAINT_LIST).paints,
+    preprocess: DEFAULT_PREPROCESS,
+    segmentation: 'pixel',
+    colorDistance: DEFAULT_COLOR_DISTANCE,
+    saliency: 0,
+    outlines: { tolerance: 1, smooth: false }
+};
+
+const USAGE = `Usage: paint-by-numbers <folder> [options]
+
+Turns every .png/.jpg/.jpeg in <folder> into a paint-by-numbers template.
+
+Options:
+  -o, --out <dir>         Output folder (default: <folder>/paint-by-numbers)
+  -s, --settings <file>   JSON settings, same shape as the app's (kColors,
+                          minRegionSize, paletteMode, preprocess, outlines,
+                          colorDistance, saliency, ...)
+  -k, --colors <n|auto>   Number of colors; "auto" suggests one per image
+  -m, --min-region <px>   Smallest region kept, in pixels
+      --paints <file>     Paint list ("Name, Code, #RRGGBB" per line); picks
+                          from these paints instead of k-means
+  -d, --difficulty <name> Preset: ${Object.keys(DIFFICULTY_PRESETS).join(', ')}; sets colors,
+                          speck size and smoothing, then adjusts them per image
+                          until the region count fits
+      --metric <name>     Color distance: ${Object.keys(COLOR_METRICS).join(', ')}
+                          (default: ${DEFAULT_COLOR_DISTANCE.metric})
+      --seed <n>          Fixed seed, for the same result on every run
+      --max-size <px>     Downscale larger images to this size first
+                          (default: ${DEFAULT_MAX_SIZE}, 0 = never)
+  -f, --format <list>     Comma-separated outputs: ${FORMATS.join(',')} (default: all)
+                          svg  = printable template with legend
+                          png  = painted preview, one color per region
+                          json = palette, regions, numbers, metrics and settings
+  -q, --quiet             Only report errors
+  -h, --help              Show this help
+`;
+
+// Helper: Decoded RGBA pixels { width, height, data } for a PNG or JPEG file
+async function readImage(file) {
+    const bytes = await readFile(file);
+    const ext = extname(file).toLowerCase();
+    const image = ext === '.png'
+        ? PNG.sync.read(bytes)
+        : jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true });
+    return { width: image.width, height: image.height, data: new Uint8ClampedArray(image.data) };
+}
+
+// Box-filter downscale so the longer side is at most maxSize (like the app's
+// canvas resize)
+function downscale(image, maxSize) {
+    const { width, height, data } = image;
+    const scale = maxSize > 0 ? Math.min(1, maxSize / width, maxSize / height) : 1;
+    if (scale === 1) return image;
+
+    const w = Math.max(1, Math.floor(width * scale));
+    const h = Math.max(1, Math.floor(height * scale));
+    const out = new Uint8ClampedArray(w * h * 4);
+
+    for (let y = 0; y < h; y++) {
+        const y0 = Math.floor(y * height / h);
+        const y1 = Math.max(y0 + 1, Math.floor((y + 1) * height / h));
+        for (let x = 0; x < w; x++) {
+            const x0 = Math.floor(x * width / w);
+            const x1 = Math.max(x0 + 1, Math.floor((x + 1) * width / w));
+            const sum = [0, 0, 0, 0];
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0; sx < x1; sx++) {
+                    const o = (sy * width + sx) * 4;
+                    for (let c = 0; c < 4; c++) sum[c] += data[o + c];
+                }
+            }
+            const n = (x1 - x0) * (y1 - y0);
+            for (let c = 0; c < 4; c++) out[(y * w + x) * 4 + c] = sum[c] / n;
+        }
+    }
+
+    return { width: w, height: h, data: out };
+}
+
+// Painted preview: every pixel in its region's palette color
+function paintedPng(result) {
+    const { width, height, labels, palette } = result;
+    const colors = palette.map(c => lab2rgb(c[0], c[1], c[2]).map(Math.round));
+    const png = new PNG({ width, height });
+    for (let i = 0; i < labels.length; i++) {
+        const [r, g, b] = colors[labels[i]];
+        png.data[i * 4] = r;
+        png.data[i * 4 + 1] = g;
+        png.data[i * 4 + 2] = b;
+        png.data[i * 4 + 3] = 255;
+    }
+    return PNG.sync.write(png);
+}
+
+// The result without the per-pixel arrays, plus the settings that made it
+function resultJson(result, settings, source) {
+    const { labels, edited, regionIds, ...rest } = result;
+    return JSON.stringify({ source, settings, ...rest }, null, 2);
+}
+
+async function loadSettings(values) {
+    let settings = { ...DEFAULT_SETTINGS };
+    if (values.settings) {
+        settings = { ...settings, ...JSON.parse(await readFile(values.settings, 'utf8')) };
+    }
+    if (values.paints) {
+        const { paints, errors } = parsePaintList(await readFile(values.paints, 'utf8'));
+        if (errors.length > 0) throw new Error(`${values.paints}: ${errors.join('; ')}`);
+        settings = { ...settings, paints, paletteMode: 'fixed' };
+    }
+    if (values.colors === 'auto') settings.autoColors = true;
+    else if (values.colors !== undefined) settings.kColors = parseNumber(values.colors, '--colors');
+    if (values['min-region'] !== undefined) settings.minRegionSize = parseNumber(values['min-region'], '--min-region');
+    if (values.metric !== undefined) settings.colorDistance = { ...settings.colorDistance, metric: values.metric };
+    if (values.seed !== undefined) settings.seed = parseNumber(values.seed, '--seed');
+    return settings;
+}
+
+// Helper: Non-negative integer option value, or an error naming the option
+function parseNumber(value, option) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`${option} expects a whole number, got "${value}"`);
+    return n;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o' },
+            settings: { type: 'string', short: 's' },
+            colors: { type: 'string', short: 'k' },
+            'min-region': { type: 'string', short: 'm' },
+            paints: { type: 'string' },
+            metric: { type: 'string' },
+            difficulty: { type: 'string', short: 'd' },
+            seed: { type: 'string' },
+            'max-size': { type: 'string' },
+            format: { type: 'string', short: 'f' },
+            quiet: { type: 'boolean', short: 'q' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help || positionals.length !== 1) {
+        process.stdout.write(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    const input = resolve(positionals[0]);
+    const outDir = resolve(values.out || join(input, 'paint-by-numbers'));
+    const formats = values.format ? values.format.split(',').map(f => f.trim().toLowerCase()) : FORMATS;
+    const unknown = formats.filter(f => !FORMATS.includes(f));
+    if (unknown.length > 0) throw new Error(`Unknown format: ${unknown.join(', ')}`);
+    if (values.difficulty && !DIFFICULTY_PRESETS[values.difficulty]) throw new Error(`Unknown difficulty: ${values.difficulty}`);
+    const maxSize = values['max-size'] !== undefined ? parseNumber(values['max-size'], '--max-size') : DEFAULT_MAX_SIZE;
+    const settings = await loadSettings(values);
+    const log = values.quiet ? () => {} : (...args) => console.log(...args);
+
+    const files = (await readdir(input))
+        .filter(name => ['.png', '.jpg', '.jpeg'].includes(extname(name).toLowerCase()))
+        .sort();
+    if (files.length === 0) throw new Error(`No PNG or JPEG images in ${input}`);
+    await mkdir(outDir, { recursive: true });
+
+    let failed = 0;
+    for (const name of files) {
+        const stem = basename(name, extname(name));
+        const started = Date.now();
+        try {
+            const imageData = downscale(await readImage(join(input, name)), maxSize);
+            // Auto: the suggested palette size for this image (see autoColors.js)
+            let imageSettings = settings.autoColors
+                ? { ...settings, kColors: (await suggestColorCount({ imageData, settings })).recommended }
+                : settings;
+            let result;
+            if (values.difficulty) {
+                result = await processPreset({ imageData, settings: imageSettings }, values.difficulty);
+                imageSettings = result.preset.settings;
+            } else {
+                result = await processImage({ imageData, settings: imageSettings });
+            }
+
+            if (formats.includes('svg')) await writeFile(join(outDir, `${stem}.svg`), buildTemplateSvg(result));
+            if (formats.includes('png')) await writeFile(join(outDir, `${stem}.png`), paintedPng(result));
+            if (formats.includes('json')) await writeFile(join(outDir, `${stem}.json`), resultJson(result, imageSettings, name));
+
+            const missed = result.preset && !result.preset.inRange ? `, outside the ${values.difficulty} range` : '';
+            log(`${name}: ${result.width}×${result.height}, ${result.palette.length} colors, ${result.numbers.length} regions${missed}, difficulty ${result.metrics.difficulty} (${result.metrics.level}), seed ${result.seed} (${Date.now() - started} ms)`);
+        } catch (error) {
+            failed++;
+            console.error(`${name}: ${error.message}`);
+        }
+    }
+
+    log(`${files.length - failed} of ${files.length} images written to ${outDir}`);
+    return failed > 0 ? 1 : 0;
+}
+
+main().then(
+    code => { process.exitCode = code; },
+    error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+);
@@ -1,7 +1,110 @@
 import { useState, useRef, useEffect } from 'react';
-import { Upload, Sliders, Download, Palette, Image as ImageIcon, Loader2 } from 'lucide-react';
+import { Upload, Sliders, Download, Palette, Image as ImageIcon, Loader2, Lock, Unlock, Dices, Printer, RotateCcw, RotateCw, Save } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { ResultCanvas } from './components/ResultCanvas';
+import { ResultCanvas, drawTemplate, VIEW_MODES } from './components/ResultCanvas';
+import { RegionEditor } from './components/RegionEditor';
+import { PaletteEditor } from './components/PaletteEditor';
+import { PreprocessPreview } from './components/PreprocessPreview';
+import { DetailMaskEditor } from './components/DetailMaskEditor';
+import { RecentProjects } from './components/RecentProjects';
+import { ColorCountChart } from './components/ColorCountChart';
+import { writeProject, readProject, PROJECT_EXTENSION } from './utils/projectFile';
+import { saveRecentProject, listRecentProjects, loadRecentProject, deleteRecentProject } from './utils/projectStore';
+import { DEFAULT_PREPROCESS } from './pipeline/preprocess';
+import { DEFAULT_SUPERPIXELS } from './pipeline/superpixels';
+import { COLOR_METRICS, DEFAULT_COLOR_DISTANCE } from './pipeline/colorDistance';
+import { DIFFICULTY_PRESETS, REGION_SIZE_SLIDER, difficultyLevel } from './pipeline/metrics';
+import { regionAtPoint, recolorRegion, mergeWithNeighbor, paintStroke } from './pipeline/edit';
+import { legendEntries, legendLayout } from './utils/legend';
+import { buildTemplateSvg } from './utils/svgExport';
+import { DEFAULT_PAINT_LIST, parsePaintList } from './utils/paints';
+import { PAGE_SIZES, DEFAULT_PDF_OPTIONS, MIN_DPI, MAX_DPI, MIN_CROP_MARK_MARGIN, planTiles, clampDpi, cropMarkSize } from './utils/printLayout';
+
+// Preview resolution while tuning, and the cap for the final render. Only
+// palette assignment runs in bands; cleanup, tracing and number placement
+// hold the whole image, which peaks around 400-600 MB in the worker at 4000
+// px (about twice that at 6000).
+const MAX_DIM = 1200;
+const FINAL_MAX_DIM = 4000;
+
+// Undo steps kept for region edits
+const HISTORY_LIMIT = 30;
+
+// Crop (percent trimmed off each side) and rotation (quarter turns,
+// clockwise), applied to the original before any downscaling
+const DEFAULT_SOURCE_TRANSFORM = { rotation: 0, crop: { left: 0, top: 0, right: 0, bottom: 0 } };
+
+// Quiet time after the last change before the project is auto-saved
+const AUTOSAVE_DELAY = 2000;
+
+// How long a saved project's download URL stays valid; revoking it right
+// after the click can abort the download in some browsers
+const DOWNLOAD_URL_LIFETIME = 60 * 1000;
+
+// Pre-processing sliders: [setting, label, min, max, step]
+const PREPROCESS_SLIDERS = [
+    ['brightness', 'Brightness', -50, 50, 1],
+    ['contrast', 'Contrast', -50, 50, 1],
+    ['saturation', 'Saturation', -100, 100, 5],
+    ['smoothing', 'Smoothing', 0, 10, 1],
+    ['posterize', 'Posterize', 0, 10, 1]
+];
+
+// Superpixel sliders, same layout
+const SUPERPIXEL_SLIDERS = [
+    ['size', 'Superpixel size', 6, 40, 1],
+    ['compactness', 'Compactness', 1, 40, 1],
+    ['mergeThreshold', 'Merge threshold (ΔE)', 0, 30, 1]
+];
+
+// Color distance weight sliders, same layout
+const DISTANCE_WEIGHT_SLIDERS = [
+    ['lightnessWeight', 'Lightness weight', 0.25, 3, 0.25],
+    ['chromaWeight', 'Chroma weight', 0.25, 3, 0.25]
+];
+
+// Helper: Whether two input lists hold the same values (by identity)
+function sameInputs(a, b) {
+    return !!a && !!b && a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+// Helper: Size of the source after rotation and crop
+function transformedSize(img, { rotation, crop }) {
+    const quarter = rotation % 2 === 1;
+    const rw = quarter ? img.height : img.width;
+    const rh = quarter ? img.width : img.height;
+    return {
+        width: Math.max(1, rw * (1 - (crop.left + crop.right) / 100)),
+        height: Math.max(1, rh * (1 - (crop.top + crop.bottom) / 100))
+    };
+}
+
+// Helper: Draw the rotated, cropped source scaled to w x h
+function drawTransformed(ctx, img, transform, w, h) {
+    const { rotation, crop } = transform;
+    const quarter = rotation % 2 === 1;
+    const rw = quarter ? img.height : img.width;
+    const rh = quarter ? img.width : img.height;
+    const { width: cw, height: ch } = transformedSize(img, transform);
+
+    ctx.save();
+    ctx.scale(w / cw, h / ch);
+    ctx.translate(-rw * crop.left / 100, -rh * crop.top / 100);
+    // Rotate the image into the rotated frame (rw x rh)
+    if (rotation === 1) ctx.translate(rw, 0);
+    else if (rotation === 2) ctx.translate(rw, rh);
+    else if (rotation === 3) ctx.translate(0, rh);
+    ctx.rotate(rotation * Math.PI / 2);
+    ctx.drawImage(img, 0, 0);
+    ctx.restore();
+}
+
+// Helper: Size of the final render for an image, capped at FINAL_MAX_DIM
+function finalDimensions(img, transform = DEFAULT_SOURCE_TRANSFORM) {
+    const { width, height } = transformedSize(img, transform);
+    const scale = Math.min(1, FINAL_MAX_DIM / Math.max(width, height));
+    return { w: Math.floor(width * scale), h: Math.floor(height * scale) };
+}
 
 function App() {
     const [isProcessing, setIsProcessing] = useState(false);
@@ -10,26 +113,117 @@ function App() {
     const [status, setStatus] = useState('');
     const [result, setResult] = useState(null);
 
+    // Full-resolution render of the current preview; exports prefer it
+    const [finalResult, setFinalResult] = useState(null);
+    const [isRenderingFinal, setIsRenderingFinal] = useState(false);
+
+    // Region editing: every edit produces a new result, older ones are undo steps
+    const [history, setHistory] = useState({ past: [], future: [] });
+    const [editTool, setEditTool] = useState('select');
+    const [viewMode, setViewMode] = useState('template'); // One of VIEW_MODES
+    const [selectedRegionId, setSelectedRegionId] = useState(-1);
+    const [brush, setBrush] = useState({ colorIndex: 0, radius: 4 });
+    const lastPickRef = useRef(null);
+
+    // User-edited palette ({ colors, info, locked, recluster }); while set,
+    // runs assign to it (APPLY_PALETTE) instead of clustering from scratch
+    const customPaletteRef = useRef(null);
+    const [lockedColors, setLockedColors] = useState([]);
+
     const workerRef = useRef(null);
     const originalImageRef = useRef(null);
 
+    // The project: uploaded file as-is (saved in project files), its ID and
+    // name for auto-save, and the recent projects on the start screen
+    const originalFileRef = useRef(null);
+    const projectRef = useRef(null); // { id, name }
+    const skipNextRunRef = useRef(false); // An opened project brings its own result
+    const [recentProjects, setRecentProjects] = useState([]);
+    const [projectError, setProjectError] = useState(null);
+
+    // Crop/rotate of the original, and the downscaled source it produces
+    const [sourceTransform, setSourceTransform] = useState(DEFAULT_SOURCE_TRANSFORM);
+    const [sourceImage, setSourceImage] = useState(null);
+    // Painted more/less detail areas over the source (null = none)
+    const [detailMask, setDetailMask] = useState(null);
+
+    // "Auto" colors: sweep palette sizes before processing and use the
+    // recommended one. The last sweep ({ candidates, recommended, inputs })
+    // stays on show as a chart while its inputs are current.
+    const [autoColors, setAutoColors] = useState(false);
+    const [colorSuggestion, setColorSuggestion] = useState(null);
+    const suggestionInputsRef = useRef(null); // Inputs of the sweep in flight
+
+    // Difficulty presets: the preset to run next (picked up by the debounced
+    // effect, which `presetRequests` wakes) and how the last one went
+    // ({ key, settings, runs, inRange }, see processPreset)
+    const pendingPresetRef = useRef(null);
+    const [presetRequests, setPresetRequests] = useState(0);
+    const [presetFit, setPresetFit] = useState(null);
+
+    // Every worker job gets a fresh ID; replies from any other job are stale
+    const nextJobIdRef = useRef(0);
+    const activeJobIdRef = useRef(null);
+
+    // Seed of the last run; when locked it is reused so reruns are reproducible
+    const [seed, setSeed] = useState(null);
+    const [seedLocked, setSeedLocked] = useState(false);
+    const seedRef = useRef(null);
+    const seedLockedRef = useRef(false);
+
     useEffect(() => {
         workerRef.current = new Worker(new URL('./workers/image.worker.js', import.meta.url), { type: 'module' });
 
         workerRef.current.onmessage = (e) => {
-            const { type, payload, status, progress, error } = e.data;
+            const { type, jobId, payload, status, progress, error } = e.data;
+            if (jobId !== activeJobIdRef.current) return;
+
             if (type === 'STATUS') {
                 setStatus(status);
             } else if (type === 'PROGRESS') {
                 setProgress(progress);
             } else if (type === 'RESULT') {
+                if (payload.preset) {
+                    // Adopt the settings that hit the target; this result already matches them
+                    const { kColors, minRegionSize, preprocess } = payload.preset.settings;
+                    skipNextRunRef.current = true;
+                    setSettings(s => ({ ...s, kColors, minRegionSize, preprocess }));
+                    setPresetFit(payload.preset);
+                }
+                seedRef.current = payload.seed;
+                setSeed(payload.seed);
+                if (customPaletteRef.current) {
+                    // Re-clustered once; later runs keep this palette as it is
+                    customPaletteRef.current = { colors: payload.palette, info: payload.paletteInfo, locked: payload.locked, recluster: false };
+                }
+                setLockedColors(payload.locked || []);
                 setResult(payload);
+                setHistory({ past: [], future: [] });
+                setSelectedRegionId(-1);
                 setIsProcessing(false);
                 setStatus('Done!');
+                activeJobIdRef.current = null;
+            } else if (type === 'COLOR_SUGGESTION') {
+                // Processing follows from the debounced effect
+                setColorSuggestion({ ...payload, inputs: suggestionInputsRef.current });
+                setSettings(s => ({ ...s, kColors: payload.recommended }));
+                activeJobIdRef.current = null;
+            } else if (type === 'FINAL_RESULT') {
+                setFinalResult(payload);
+                setIsRenderingFinal(false);
+                setStatus('Final render done!');
+                activeJobIdRef.current = null;
+            } else if (type === 'CANCELLED') {
+                setIsProcessing(false);
+                setIsRenderingFinal(false);
+                setStatus('Cancelled');
+                activeJobIdRef.current = null;
             } else if (type === 'ERROR') {
                 console.error(error);
                 setIsProcessing(false);
+                setIsRenderingFinal(false);
                 setStatus('Error occurred');
+                activeJobIdRef.current = null;
             }
         };
 
@@ -37,40 +231,51 @@ function App() {
     }, []);
 
 
-    const downloadPNG = () => {
-        const canvas = document.querySelector('#canvas-container canvas');
-        if (canvas) {
-            const link = document.createElement('a');
-            link.download = 'paint-by-numbers.png';
-            link.href = canvas.toDataURL();
-            link.click();
-        }
-    };
-
-    const downloadSVG = (result) => {
-        const { width, height, outlines, numbers } = result;
-
-        // Construct SVG string
-        let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
-        <style>
-          path { fill: none; stroke: #94a3b8; stroke-width: 1px; vector-effect: non-scaling-stroke; }
-          text { font-family: sans-serif; font-size: 10px; fill: #334155; text-anchor: middle; dominant-baseline: middle; }
-        </style>
-        <rect width="100%" height="100%" fill="white"/>
-        <g id="outlines">`;
-
-        outlines.forEach(o => {
-            svg += `<path d="${o.path}" />`;
-        });
+    const downloadPNG = (result) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = result.width + (result.margin || 0) * 2;
+        canvas.height = result.height + (result.margin || 0) * 2;
+        drawTemplate(canvas.getContext('2d'), result);
 
-        svg += `</g><g id="numbers">`;
+        // Template on top, numbered legend underneath
+        const entries = legendEntries(result);
+        const withRecipes = entries.some(e => e.recipe);
+        const layout = legendLayout(entries.length, canvas.width, { withRecipes });
+        const out = document.createElement('canvas');
+        out.width = canvas.width;
+        out.height = canvas.height + layout.height;
+        const ctx = out.getContext('2d');
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, out.width, out.height);
+        ctx.drawImage(canvas, 0, 0);
 
-        numbers.forEach(n => {
-            svg += `<text x="${n.x}" y="${n.y}">${n.label}</text>`;
+        ctx.font = '12px sans-serif';
+        ctx.textBaseline = 'middle';
+        entries.forEach((entry, i) => {
+            const { x, y } = layout.position(i);
+            const top = canvas.height + y;
+            ctx.fillStyle = entry.hex;
+            ctx.fillRect(x, top + 3, 16, 16);
+            ctx.strokeStyle = '#94a3b8';
+            ctx.strokeRect(x + 0.5, top + 3.5, 15, 15);
+            ctx.fillStyle = '#334155';
+            ctx.font = '12px sans-serif';
+            ctx.fillText(`${entry.number}. ${entry.text}`, x + 22, top + 11, layout.cellWidth - 26);
+            if (entry.recipe) {
+                ctx.font = '10px sans-serif';
+                ctx.fillStyle = '#64748b';
+                ctx.fillText(entry.recipe, x + 22, top + 26, layout.cellWidth - 26);
+            }
         });
 
-        svg += `</g></svg>`;
+        const link = document.createElement('a');
+        link.download = 'paint-by-numbers.png';
+        link.href = out.toDataURL();
+        link.click();
+    };
 
+    const downloadSVG = (result) => {
+        const svg = buildTemplateSvg(result);
         const blob = new Blob([svg], { type: 'image/svg+xml' });
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
@@ -79,67 +284,486 @@ function App() {
         link.click();
     };
 
-    const [settings, setSettings] = useState({ kColors: 20, minRegionSize: 20 });
+    const [pdfOptions, setPdfOptions] = useState(DEFAULT_PDF_OPTIONS);
+    const [isExportingPdf, setIsExportingPdf] = useState(false);
+    // DPI as typed; only clamped into pdfOptions on blur or export, so
+    // intermediate values like "3" on the way to "300" aren't snapped
+    const [dpiInput, setDpiInput] = useState(String(DEFAULT_PDF_OPTIONS.dpi));
+
+    const commitDpi = () => {
+        const dpi = clampDpi(dpiInput);
+        setDpiInput(String(dpi));
+        setPdfOptions(o => ({ ...o, dpi }));
+        return dpi;
+    };
+
+    const downloadPDF = async (result) => {
+        setIsExportingPdf(true);
+        try {
+            const options = { ...pdfOptions, dpi: commitDpi() };
+            // jsPDF is only loaded when someone actually prints
+            const { buildTemplatePdf } = await import('./utils/pdfExport');
+            buildTemplatePdf(result, options).save('paint-by-numbers.pdf');
+        } catch (error) {
+            console.error(error);
+            setStatus('PDF export failed');
+        } finally {
+            setIsExportingPdf(false);
+        }
+    };
+
+    const [paintListText, setPaintListText] = useState(DEFAULT_PAINT_LIST);
+    const [paintListErrors, setPaintListErrors] = useState([]);
+    const [settings, setSettings] = useState(() => ({
+        kColors: 20,
+        minRegionSize: 20,
+        paletteMode: 'kmeans',
+        paints: parsePaintList(DEFAULT_PAINT_LIST).paints,
+        preprocess: DEFAULT_PREPROCESS,
+        segmentation: 'pixel',
+        detailSampling: false, // Let the detail mask weight palette sampling too
+        colorDistance: DEFAULT_COLOR_DISTANCE, // Metric and L/C weights for clustering and assignment
+        saliency: 0, // 0..1, how much standing-out colors are favored when sampling
+        outlines: { tolerance: 1, smooth: false }, // Simplification in px, Bézier smoothing
+        superpixels: {
+            size: DEFAULT_SUPERPIXELS.size,
+            compactness: DEFAULT_SUPERPIXELS.compactness,
+            mergeThreshold: DEFAULT_SUPERPIXELS.mergeThreshold
+        } // Minimum segment area follows minRegionSize
+    }));
     const resizedImageDataRef = useRef(null);
 
+    // Downscale the cropped, rotated original to the preview size
+    const prepareSource = (img, transform) => {
+        const size = transformedSize(img, transform);
+        const scale = Math.min(1, MAX_DIM / size.width, MAX_DIM / size.height);
+        const w = Math.max(1, Math.floor(size.width * scale));
+        const h = Math.max(1, Math.floor(size.height * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = w;
+        canvas.height = h;
+        const ctx = canvas.getContext('2d');
+        drawTransformed(ctx, img, transform, w, h);
+        const imageData = ctx.getImageData(0, 0, w, h);
+
+        resizedImageDataRef.current = imageData;
+        setSourceImage(imageData);
+        setDetailMask(null); // Painted for the old crop
+    };
+
+    const updateSourceTransform = (transform) => {
+        setSourceTransform(transform);
+        if (!originalImageRef.current) return;
+        resetPalette();
+        prepareSource(originalImageRef.current, transform);
+    };
+
+    // What the palette size suggestion depends on. Auto only applies while
+    // k-means picks the palette.
+    const suggestionInputs = [
+        sourceImage, detailMask, settings.preprocess, settings.colorDistance,
+        settings.saliency, settings.detailSampling, settings.minRegionSize
+    ];
+    const autoColorsActive = autoColors && settings.paletteMode === 'kmeans' && !customPaletteRef.current;
+    const suggestionCurrent = colorSuggestion && sameInputs(colorSuggestion.inputs, suggestionInputs);
+
+    // The last preset's settings, while nobody has moved them since
+    const activePreset = presetFit
+        && settings.kColors === presetFit.settings.kColors
+        && settings.minRegionSize === presetFit.settings.minRegionSize
+        && settings.preprocess.smoothing === presetFit.settings.preprocess.smoothing
+        ? presetFit : null;
+
     // Debounce processing
     useEffect(() => {
         if (!imageLoaded) return;
+        if (skipNextRunRef.current) {
+            skipNextRunRef.current = false;
+            return;
+        }
 
         const timer = setTimeout(() => {
-            if (resizedImageDataRef.current) {
+            if (!resizedImageDataRef.current) return;
+            if (pendingPresetRef.current) {
+                const key = pendingPresetRef.current;
+                pendingPresetRef.current = null;
+                runPreset(key);
+            } else if (autoColorsActive && !sameInputs(colorSuggestion?.inputs, suggestionInputs)) {
+                runSuggestion(suggestionInputs);
+            } else {
                 runProcessing();
             }
         }, 500); // 500ms debounce
 
         return () => clearTimeout(timer);
-    }, [settings, imageLoaded]);
+    }, [settings, imageLoaded, sourceImage, detailMask, autoColors, colorSuggestion, presetRequests]);
+
+    // Helper: New job ID; replies to earlier jobs are ignored from now on
+    const startJob = () => {
+        nextJobIdRef.current += 1;
+        activeJobIdRef.current = nextJobIdRef.current;
+        return activeJobIdRef.current;
+    };
+
+    const cancelJob = () => {
+        if (activeJobIdRef.current === null) return;
+        workerRef.current.postMessage({ type: 'CANCEL', jobId: activeJobIdRef.current });
+        activeJobIdRef.current = null;
+        setIsProcessing(false);
+        setIsRenderingFinal(false);
+        setStatus('Cancelled');
+    };
 
-    const runProcessing = () => {
+    const runProcessing = (seedOverride) => {
         if (!resizedImageDataRef.current) return;
 
+        // An edited palette keeps the seed it came from
+        const custom = customPaletteRef.current;
+        const runSeed = seedOverride ?? (seedLockedRef.current || custom ? seedRef.current : undefined);
+
         setIsProcessing(true);
+        setIsRenderingFinal(false);
         setStatus('Processing...');
+        setProgress(0);
         setResult(null);
+        setFinalResult(null);
 
+        // The worker drops whatever it was still doing when a new job arrives
         workerRef.current.postMessage({
-            type: 'PROCESS_IMAGE',
+            type: custom ? 'APPLY_PALETTE' : 'PROCESS_IMAGE',
+            jobId: startJob(),
             payload: {
                 imageData: resizedImageDataRef.current,
-                settings: settings
+                detailMask: detailMask ?? undefined,
+                settings: { ...settings, seed: runSeed ?? undefined },
+                palette: custom ?? undefined
             }
         });
     }
 
+    // Sweep palette sizes; the recommendation comes back as COLOR_SUGGESTION
+    const runSuggestion = (inputs) => {
+        suggestionInputsRef.current = inputs;
+
+        setIsProcessing(true);
+        setIsRenderingFinal(false);
+        setStatus('Finding a palette size...');
+        setProgress(0);
+        setResult(null);
+        setFinalResult(null);
+
+        workerRef.current.postMessage({
+            type: 'SUGGEST_COLORS',
+            jobId: startJob(),
+            payload: {
+                imageData: resizedImageDataRef.current,
+                detailMask: detailMask ?? undefined,
+                settings: { ...settings, seed: seedLockedRef.current ? seedRef.current : undefined }
+            }
+        });
+    };
+
+    // Preset run: settings are adjusted until the region count fits, and the
+    // result reports the settings it ended with
+    const runPreset = (key) => {
+        setIsProcessing(true);
+        setIsRenderingFinal(false);
+        setStatus(`Fitting the ${DIFFICULTY_PRESETS[key].label} preset...`);
+        setProgress(0);
+        setResult(null);
+        setFinalResult(null);
+
+        workerRef.current.postMessage({
+            type: 'PROCESS_PRESET',
+            jobId: startJob(),
+            payload: {
+                imageData: resizedImageDataRef.current,
+                detailMask: detailMask ?? undefined,
+                settings: { ...settings, seed: seedLockedRef.current ? seedRef.current : undefined },
+                preset: key
+            }
+        });
+    };
+
+    const choosePreset = (key) => {
+        if (!key) return;
+        resetPalette();
+        setAutoColors(false);
+        pendingPresetRef.current = key;
+        setPresetRequests(n => n + 1);
+    };
+
+    // A size picked by hand (slider or chart) ends Auto
+    const pickColorCount = (k) => {
+        resetPalette();
+        setAutoColors(false);
+        setSettings(s => ({ ...s, kColors: k }));
+    };
+
+    const handlePaintListChange = (text) => {
+        const { paints, errors } = parsePaintList(text);
+        setPaintListText(text);
+        setPaintListErrors(errors);
+        if (settings.paletteMode === 'fixed') resetPalette();
+        setSettings(s => ({ ...s, paints }));
+    };
+
+    // Back to clustering from scratch, e.g. when the palette size changes
+    const resetPalette = () => {
+        customPaletteRef.current = null;
+        setLockedColors([]);
+    };
+
+    const applyPalette = (custom) => {
+        customPaletteRef.current = custom;
+        setLockedColors(custom.locked);
+        runProcessing();
+    };
+
+    const setPaletteLocks = (custom) => {
+        customPaletteRef.current = custom;
+        setLockedColors(custom.locked);
+    };
+
+    // Same settings and palette as the preview, on the full-size original
+    const renderFinal = () => {
+        const img = originalImageRef.current;
+        if (!img || !result) return;
+
+        const { w, h } = finalDimensions(img, sourceTransform);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = w;
+        canvas.height = h;
+        const ctx = canvas.getContext('2d');
+        drawTransformed(ctx, img, sourceTransform, w, h);
+        const imageData = ctx.getImageData(0, 0, w, h);
+
+        setIsRenderingFinal(true);
+        setStatus('Rendering final...');
+        setProgress(0);
+
+        workerRef.current.postMessage({
+            type: 'RENDER_FINAL',
+            jobId: startJob(),
+            payload: {
+                imageData,
+                settings,
+                palette: result.palette,
+                paletteInfo: result.paletteInfo,
+                seed: result.seed,
+                preview: { labels: result.labels, width: result.width, height: result.height, edited: result.edited },
+                detailMask: detailMask ?? undefined
+            }
+        }, [imageData.data.buffer]); // Hand the big buffer over instead of copying it
+    };
+
+    // Replace the result with an edited one, keeping the old one for undo.
+    // The final render no longer matches, so it has to be redone.
+    const commitEdit = (next) => {
+        if (next === result) return;
+        setHistory(h => ({ past: [...h.past, result].slice(-HISTORY_LIMIT), future: [] }));
+        setResult(next);
+        setFinalResult(null);
+
+        // Keep the clicked spot selected; region IDs change with every edit
+        const pick = lastPickRef.current;
+        setSelectedRegionId(pick ? regionAtPoint(next, pick.x, pick.y) : -1);
+    };
+
+    const handlePick = (point) => {
+        lastPickRef.current = point;
+        setSelectedRegionId(regionAtPoint(result, point.x, point.y));
+    };
+
+    const undoEdit = () => {
+        if (history.past.length === 0) return;
+        setHistory({ past: history.past.slice(0, -1), future: [result, ...history.future] });
+        setResult(history.past[history.past.length - 1]);
+        setFinalResult(null);
+        setSelectedRegionId(-1);
+    };
+
+    const redoEdit = () => {
+        if (history.future.length === 0) return;
+        setHistory({ past: [...history.past, result], future: history.future.slice(1) });
+        setResult(history.future[0]);
+        setFinalResult(null);
+        setSelectedRegionId(-1);
+    };
+
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes (not while typing)
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undoEdit();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                redoEdit();
+            }
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    });
+
+    const toggleSeedLock = () => {
+        seedLockedRef.current = !seedLockedRef.current;
+        setSeedLocked(seedLockedRef.current);
+    };
+
+    const rerollSeed = () => {
+        resetPalette();
+        const newSeed = Math.floor(Math.random() * 0x100000000);
+        seedRef.current = newSeed;
+        setSeed(newSeed);
+        runProcessing(newSeed);
+    };
+
+    // Everything needed to reopen the current state as a project file
+    const buildProjectBlob = () => {
+        const custom = customPaletteRef.current;
+        const palette = custom || (result && {
+            colors: result.palette,
+            info: result.paletteInfo.map(({ name, code, hex }) => ({ name, code, hex })),
+            locked: result.locked || [],
+            recluster: false
+        });
+        return writeProject({
+            ...projectRef.current,
+            source: originalFileRef.current,
+            state: {
+                settings,
+                paintListText,
+                seed: seedRef.current,
+                seedLocked: seedLockedRef.current,
+                sourceTransform,
+                palette: palette || null
+            },
+            result,
+            detailMask
+        });
+    };
+
+    const saveProject = async () => {
+        const blob = await buildProjectBlob();
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = `${projectRef.current.name || 'project'}${PROJECT_EXTENSION}`;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+    };
+
+    const refreshRecentProjects = () => {
+        listRecentProjects().then(setRecentProjects).catch(() => setRecentProjects([]));
+    };
+
+    // Auto-save to the recent projects once things settle
+    useEffect(() => {
+        if (!result || !projectRef.current || !originalFileRef.current) return;
+        const timer = setTimeout(async () => {
+            try {
+                await saveRecentProject({ ...projectRef.current, blob: await buildProjectBlob() });
+            } catch (err) {
+                console.warn('Auto-save failed:', err);
+            }
+        }, AUTOSAVE_DELAY);
+        return () => clearTimeout(timer);
+    }, [result, detailMask, lockedColors, seedLocked]);
+
+    // The start screen lists recent projects
+    useEffect(() => {
+        if (!imageLoaded) refreshRecentProjects();
+    }, [imageLoaded]);
+
+    // Restore everything a project file holds. With a saved result it is
+    // shown as is (manual edits included); otherwise the pipeline runs again
+    // with the saved settings and palette.
+    const openProject = async (blob) => {
+        setProjectError(null);
+        let opened;
+        let img;
+        try {
+            opened = await readProject(blob);
+            img = await createImageBitmap(opened.source).catch(() => {
+                throw new Error('The project\'s source image could not be decoded');
+            });
+        } catch (err) {
+            setProjectError(err.message);
+            return;
+        }
+        const { project, source, result: saved, detailMask: savedMask } = opened;
+
+        cancelJob();
+        originalImageRef.current = img;
+        originalFileRef.current = source;
+        projectRef.current = { id: project.id, name: project.name };
+
+        setPaintListText(project.paintListText ?? DEFAULT_PAINT_LIST);
+        setPaintListErrors(parsePaintList(project.paintListText ?? DEFAULT_PAINT_LIST).errors);
+        setSettings(s => ({ ...s, ...project.settings }));
+        seedRef.current = project.seed ?? null;
+        setSeed(project.seed ?? null);
+        seedLockedRef.current = !!project.seedLocked;
+        setSeedLocked(!!project.seedLocked);
+        customPaletteRef.current = project.palette || null;
+        setLockedColors(project.palette?.locked || []);
+
+        const transform = project.sourceTransform || DEFAULT_SOURCE_TRANSFORM;
+        setSourceTransform(transform);
+        prepareSource(img, transform);
+        setDetailMask(savedMask);
+
+        setFinalResult(null);
+        setHistory({ past: [], future: [] });
+        setSelectedRegionId(-1);
+        if (saved) {
+            skipNextRunRef.current = true;
+            setResult(saved);
+            setIsProcessing(false);
+            setStatus('Project opened');
+        } else {
+            setResult(null);
+        }
+        setImageLoaded(true);
+    };
+
+    const openRecentProject = async (id) => {
+        const blob = await loadRecentProject(id);
+        if (blob) {
+            openProject(blob);
+        } else {
+            refreshRecentProjects();
+        }
+    };
+
+    const removeRecentProject = async (id) => {
+        await deleteRecentProject(id);
+        refreshRecentProjects();
+    };
+
     const handleFileUpload = async (e) => {
         const file = e.target.files?.[0];
         if (!file) return;
 
         setImageLoaded(true);
+        resetPalette();
         setStatus('Loading image...');
         setResult(null);
+        setFinalResult(null);
 
         const img = await createImageBitmap(file);
         originalImageRef.current = img;
+        originalFileRef.current = file;
+        projectRef.current = { id: `${Date.now()}-${Math.floor(Math.random() * 1e6)}`, name: file.name.replace(/\.[^.]+$/, '') };
 
         // Resize 
-        const MAX_DIM = 1200;
-        let w = img.width;
-        let h = img.height;
-        if (w > MAX_DIM || h > MAX_DIM) {
-            const scale = Math.min(MAX_DIM / w, MAX_DIM / h);
-            w = Math.floor(w * scale);
-            h = Math.floor(h * scale);
-        }
-
-        const canvas = document.createElement('canvas');
-        canvas.width = w;
-        canvas.height = h;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, w, h);
-        const imageData = ctx.getImageData(0, 0, w, h);
-
-        resizedImageDataRef.current = imageData;
+        setSourceTransform(DEFAULT_SOURCE_TRANSFORM);
+        prepareSource(img, DEFAULT_SOURCE_TRANSFORM);
 
         // Trigger processing immediately on new upload
         runProcessing();
@@ -191,7 +815,19 @@ function App() {
                             Select Photo
                         </button>
                     </motion.div>
-                ) : (
+                ) : null}
+
+                {!imageLoaded && (
+                    <RecentProjects
+                        projects={recentProjects}
+                        onOpen={openRecentProject}
+                        onDelete={removeRecentProject}
+                        onOpenFile={openProject}
+                        error={projectError}
+                    />
+                )}
+
+                {imageLoaded && (
                     <div style={{ width: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '1.5rem' }}>
 
                         {/* Settings Controls */}
@@ -202,25 +838,78 @@ function App() {
                                 </h3>
                             </div>
 
+                            {/* Difficulty Preset */}
+                            <div className="control-group">
+                                <label style={{ display: 'block', marginBottom: '0.5rem', color: '#cbd5e1', fontSize: '0.875rem' }}>
+                                    Difficulty Preset
+                                </label>
+                                <select
+                                    value={activePreset ? activePreset.key : ''}
+                                    onChange={e => choosePreset(e.target.value)}
+                                    className="custom-select"
+                                >
+                                    <option value="">Custom</option>
+                                    {Object.entries(DIFFICULTY_PRESETS).map(([key, preset]) => (
+                                        <option key={key} value={key}>
+                                            {preset.label} ({preset.targetRegions[0]}–{preset.targetRegions[1]} regions)
+                                        </option>
+                                    ))}
+                                </select>
+                                <p style={{ color: '#94a3b8', fontSize: '0.75rem', marginTop: '0.25rem' }}>
+                                    {activePreset
+                                        ? `${DIFFICULTY_PRESETS[activePreset.key].label}: ${activePreset.settings.kColors} colors, ${activePreset.settings.minRegionSize}px specks, found in ${activePreset.runs} ${activePreset.runs === 1 ? 'run' : 'runs'}.`
+                                        : 'Sets colors, speck size and smoothing, then adjusts them until the region count is in range.'}
+                                    {activePreset && !activePreset.inRange && (
+                                        <span className="result-warning"> This image can't reach the target; this is the closest.</span>
+                                    )}
+                                </p>
+                            </div>
+
                             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '2rem' }}>
                                 <div className="control-group">
                                     <label style={{ display: 'block', marginBottom: '0.5rem', color: '#cbd5e1', fontSize: '0.875rem' }}>
-                                        Color Palette: <span style={{ color: 'white', fontWeight: 'bold' }}>{settings.kColors}</span>
+                                        {settings.paletteMode === 'fixed' ? 'Paints to Use' : 'Color Palette'}: <span style={{ color: 'white', fontWeight: 'bold' }}>
+                                            {settings.paletteMode === 'fixed' ? Math.min(settings.kColors, settings.paints.length) : settings.kColors}
+                                        </span>
                                     </label>
                                     <input
-                                        type="range" min="2" max="50" step="1"
+                                        type="range" min="2" step="1"
+                                        max={settings.paletteMode === 'fixed' ? Math.max(2, settings.paints.length) : 50}
                                         value={settings.kColors}
-                                        onChange={e => setSettings(s => ({ ...s, kColors: parseInt(e.target.value) }))}
+                                        onChange={e => pickColorCount(parseInt(e.target.value))}
                                         style={{ width: '100%' }}
                                         className="custom-range"
                                     />
+                                    {settings.paletteMode === 'kmeans' && (
+                                        <label className="checkbox-label" style={{ marginTop: '0.5rem' }}>
+                                            <input
+                                                type="checkbox"
+                                                checked={autoColors}
+                                                onChange={e => {
+                                                    resetPalette();
+                                                    setAutoColors(e.target.checked);
+                                                }}
+                                            />
+                                            Auto
+                                        </label>
+                                    )}
+                                    {settings.paletteMode === 'kmeans' && suggestionCurrent && (
+                                        <>
+                                            <ColorCountChart suggestion={colorSuggestion} current={settings.kColors} onPick={pickColorCount} />
+                                            <p style={{ color: '#94a3b8', fontSize: '0.75rem', marginTop: '0.25rem' }}>
+                                                {colorSuggestion.recommended} colors suggested. Higher is a better balance of likeness,
+                                                distinct colors and painting effort; click a point to use another size.
+                                            </p>
+                                        </>
+                                    )}
                                 </div>
                                 <div className="control-group">
                                     <label style={{ display: 'block', marginBottom: '0.5rem', color: '#cbd5e1', fontSize: '0.875rem' }}>
                                         Remove Specks: <span style={{ color: 'white', fontWeight: 'bold' }}>{settings.minRegionSize}px</span>
                                     </label>
                                     <input
-                                        type="range" min="0" max="100" step="5"
+                                        type="range"
+                                        min={REGION_SIZE_SLIDER.min} max={REGION_SIZE_SLIDER.max} step={REGION_SIZE_SLIDER.step}
                                         value={settings.minRegionSize}
                                         onChange={e => setSettings(s => ({ ...s, minRegionSize: parseInt(e.target.value) }))}
                                         style={{ width: '100%' }}
@@ -228,10 +917,261 @@ function App() {
                                     />
                                 </div>
                             </div>
+
+                            {/* Outlines */}
+                            <div className="control-group">
+                                <label style={{ display: 'block', marginBottom: '0.5rem', color: '#cbd5e1', fontSize: '0.875rem' }}>
+                                    Outline Simplification: <span style={{ color: 'white', fontWeight: 'bold' }}>
+                                        {settings.outlines.tolerance > 0 ? `${settings.outlines.tolerance}px` : 'Off'}
+                                    </span>
+                                </label>
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max="3"
+                                    step="0.25"
+                                    value={settings.outlines.tolerance}
+                                    onChange={e => setSettings(s => ({ ...s, outlines: { ...s.outlines, tolerance: parseFloat(e.target.value) } }))}
+                                    style={{ width: '100%' }}
+                                    className="custom-range"
+                                />
+                                <label className="checkbox-label" style={{ marginTop: '0.5rem' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={settings.outlines.smooth}
+                                        onChange={e => setSettings(s => ({ ...s, outlines: { ...s.outlines, smooth: e.target.checked } }))}
+                                    />
+                                    Smooth curves
+                                </label>
+                            </div>
+
+                            {/* Crop & Rotate (applied to the original, before downscaling) */}
+                            <div className="control-group">
+                                <label style={{ display: 'block', marginBottom: '0.5rem', color: '#cbd5e1', fontSize: '0.875rem' }}>
+                                    Crop & Rotate
+                                </label>
+                                <div className="preprocess-grid">
+                                    {['left', 'right', 'top', 'bottom'].map(side => (
+                                        <label key={side}>
+                                            <span>{side[0].toUpperCase() + side.slice(1)}: {sourceTransform.crop[side]}%</span>
+                                            <input
+                                                type="range" min="0" max="45" step="1"
+                                                value={sourceTransform.crop[side]}
+                                                onChange={e => updateSourceTransform({
+                                                    ...sourceTransform,
+                                                    crop: { ...sourceTransform.crop, [side]: parseInt(e.target.value) }
+                                                })}
+                                                className="custom-range"
+                                            />
+                                        </label>
+                                    ))}
+                                </div>
+                                <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+                                    <button
+                                        className="tool-button"
+                                        onClick={() => updateSourceTransform({ ...sourceTransform, rotation: (sourceTransform.rotation + 3) % 4 })}
+                                    >
+                                        <RotateCcw style={{ width: 14, height: 14 }} /> Rotate left
+                                    </button>
+                                    <button
+                                        className="tool-button"
+                                        onClick={() => updateSourceTransform({ ...sourceTransform, rotation: (sourceTransform.rotation + 1) % 4 })}
+                                    >
+                                        <RotateCw style={{ width: 14, height: 14 }} /> Rotate right
+                                    </button>
+                                </div>
+                            </div>
+
+                            {/* Pre-processing */}
+                            <div className="control-group">
+                                <label style={{ display: 'block', marginBottom: '0.5rem', color: '#cbd5e1', fontSize: '0.875rem' }}>
+                                    Pre-processing
+                                </label>
+                                <div className="preprocess-grid">
+                                    {PREPROCESS_SLIDERS.map(([key, label, min, max, step]) => (
+                                        <label key={key}>
+                                            <span>{label}: {settings.preprocess[key]}</span>
+                                            <input
+                                                type="range" min={min} max={max} step={step}
+                                                value={settings.preprocess[key]}
+                                                onChange={e => {
+                                                    resetPalette();
+                                                    setSettings(s => ({ ...s, preprocess: { ...s.preprocess, [key]: parseInt(e.target.value) } }));
+                                                }}
+                                                className="custom-range"
+                                            />
+                                        </label>
+                                    ))}
+                                </div>
+                                <PreprocessPreview imageData={sourceImage} options={settings.preprocess} />
+                            </div>
+
+                            {/* Detail Mask */}
+                            <div className="control-group">
+                                <label style={{ display: 'block', marginBottom: '0.5rem', color: '#cbd5e1', fontSize: '0.875rem' }}>
+                                    Detail Mask
+                                </label>
+                                <p style={{ color: '#94a3b8', fontSize: '0.75rem', marginBottom: '0.5rem' }}>
+                                    Paint faces and subjects with "More detail" to keep small regions there, and busy backgrounds with "Less detail" to clean up more specks.
+                                </p>
+                                <DetailMaskEditor imageData={sourceImage} mask={detailMask} onChange={setDetailMask} />
+                                <label className="checkbox-label" style={{ marginTop: '0.5rem' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={settings.detailSampling}
+                                        onChange={e => {
+                                            resetPalette();
+                                            setSettings(s => ({ ...s, detailSampling: e.target.checked }));
+                                        }}
+                                    />
+                                    Favor detail areas when picking colors
+                                </label>
+                            </div>
+
+                            {/* Color Distance */}
+                            <div className="control-group">
+                                <label style={{ display: 'block', marginBottom: '0.5rem', color: '#cbd5e1', fontSize: '0.875rem' }}>
+                                    Color Distance
+                                </label>
+                                <select
+                                    value={settings.colorDistance.metric}
+                                    onChange={e => {
+                                        resetPalette();
+                                        setSettings(s => ({ ...s, colorDistance: { ...s.colorDistance, metric: e.target.value } }));
+                                    }}
+                                    className="custom-select"
+                                >
+                                    {Object.entries(COLOR_METRICS).map(([key, label]) => (
+                                        <option key={key} value={key}>{label}</option>
+                                    ))}
+                                </select>
+                                <div className="preprocess-grid" style={{ marginTop: '0.75rem' }}>
+                                    {DISTANCE_WEIGHT_SLIDERS.map(([key, label, min, max, step]) => (
+                                        <label key={key}>
+                                            <span>{label}: {settings.colorDistance[key]}</span>
+                                            <input
+                                                type="range" min={min} max={max} step={step}
+                                                value={settings.colorDistance[key]}
+                                                onChange={e => {
+                                                    resetPalette();
+                                                    setSettings(s => ({ ...s, colorDistance: { ...s.colorDistance, [key]: parseFloat(e.target.value) } }));
+                                                }}
+                                                className="custom-range"
+                                            />
+                                        </label>
+                                    ))}
+                                    <label>
+                                        <span>Saliency: {Math.round(settings.saliency * 100)}%</span>
+                                        <input
+                                            type="range" min="0" max="1" step="0.05"
+                                            value={settings.saliency}
+                                            onChange={e => {
+                                                resetPalette();
+                                                setSettings(s => ({ ...s, saliency: parseFloat(e.target.value) }));
+                                            }}
+                                            className="custom-range"
+                                        />
+                                    </label>
+                                </div>
+                                <p style={{ color: '#94a3b8', fontSize: '0.75rem', marginTop: '0.25rem' }}>
+                                    CIE94 and CIEDE2000 match how we see color differences better than CIE76, at some speed cost.
+                                    Lower the lightness weight to spend fewer colors on shading; saliency keeps small, standing-out colors.
+                                </p>
+                            </div>
+
+                            <div className="control-group">
+                                <label style={{ display: 'block', marginBottom: '0.5rem', color: '#cbd5e1', fontSize: '0.875rem' }}>
+                                    Palette Source
+                                </label>
+                                <select
+                                    value={settings.paletteMode}
+                                    onChange={e => {
+                                        resetPalette();
+                                        setSettings(s => ({ ...s, paletteMode: e.target.value }));
+                                    }}
+                                    className="custom-select"
+                                >
+                                    <option value="kmeans">Automatic (k-means)</option>
+                                    <option value="fixed">Fixed paint set</option>
+                                </select>
+                                <textarea
+                                    value={paintListText}
+                                    onChange={e => handlePaintListChange(e.target.value)}
+                                    rows={6}
+                                    spellCheck={false}
+                                    className="paint-list-input"
+                                    placeholder="Name, Code, #RRGGBB"
+                                />
+                                <p style={{ color: '#94a3b8', fontSize: '0.75rem', marginTop: '0.25rem' }}>
+                                    One paint per line: Name, Code, #hex or L a b. {settings.paints.length} paints loaded.
+                                    {settings.paletteMode === 'fixed'
+                                        ? ' The palette is picked from these paints.'
+                                        : ' Mixing recipes are built from these tubes.'}
+                                </p>
+                                {paintListErrors.map(err => (
+                                    <p key={err} style={{ color: '#f87171', fontSize: '0.75rem' }}>{err}</p>
+                                ))}
+                            </div>
+
+                            {/* Segmentation */}
+                            <div className="control-group">
+                                <label style={{ display: 'block', marginBottom: '0.5rem', color: '#cbd5e1', fontSize: '0.875rem' }}>
+                                    Segmentation
+                                </label>
+                                <select
+                                    value={settings.segmentation}
+                                    onChange={e => setSettings(s => ({ ...s, segmentation: e.target.value }))}
+                                    className="custom-select"
+                                >
+                                    <option value="pixel">Per pixel (fine detail)</option>
+                                    <option value="superpixel">Superpixels (smooth shapes)</option>
+                                </select>
+                                {settings.segmentation === 'superpixel' && (
+                                    <div className="preprocess-grid" style={{ marginTop: '0.75rem' }}>
+                                        {SUPERPIXEL_SLIDERS.map(([key, label, min, max, step]) => (
+                                            <label key={key}>
+                                                <span>{label}: {settings.superpixels[key]}</span>
+                                                <input
+                                                    type="range" min={min} max={max} step={step}
+                                                    value={settings.superpixels[key]}
+                                                    onChange={e => setSettings(s => ({ ...s, superpixels: { ...s.superpixels, [key]: parseInt(e.target.value) } }))}
+                                                    className="custom-range"
+                                                />
+                                            </label>
+                                        ))}
+                                    </div>
+                                )}
+                                <p style={{ color: '#94a3b8', fontSize: '0.75rem', marginTop: '0.25rem' }}>
+                                    {settings.segmentation === 'superpixel'
+                                        ? 'The image is split into superpixels and similar neighbours are merged before colors are assigned, giving smoother, paintable shapes.'
+                                        : 'Every pixel takes its nearest palette color; best for fine detail.'}
+                                </p>
+                            </div>
+
+                            <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', color: '#cbd5e1', fontSize: '0.875rem' }}>
+                                <span>Seed: <span style={{ color: 'white', fontFamily: 'monospace' }}>{seed ?? '—'}</span></span>
+                                <button
+                                    className="btn-link"
+                                    style={{ marginTop: 0, display: 'flex', alignItems: 'center', gap: '0.25rem' }}
+                                    onClick={toggleSeedLock}
+                                    title="Reuse this seed so the same settings give the same result"
+                                >
+                                    {seedLocked ? <Lock style={{ width: 14, height: 14 }} /> : <Unlock style={{ width: 14, height: 14 }} />}
+                                    {seedLocked ? 'Locked' : 'Lock seed'}
+                                </button>
+                                <button
+                                    className="btn-link"
+                                    style={{ marginTop: 0, display: 'flex', alignItems: 'center', gap: '0.25rem' }}
+                                    onClick={rerollSeed}
+                                    disabled={isProcessing}
+                                >
+                                    <Dices style={{ width: 14, height: 14 }} /> Reroll
+                                </button>
+                            </div>
                         </div>
 
                         {/* Progress / Status */}
-                        {isProcessing && (
+                        {(isProcessing || isRenderingFinal) && (
                             <div className="status-panel glass-panel animate-in fade-in zoom-in duration-300">
                                 <Loader2 className="icon-logo animate-spin" />
                                 <div style={{ textAlign: 'center' }}>
@@ -240,48 +1180,203 @@ function App() {
                                         <div className="progress-bar" style={{ width: `${progress}%` }} />
                                     </div>
                                 </div>
+                                <button className="btn-link" onClick={cancelJob}>
+                                    Cancel
+                                </button>
                             </div>
                         )}
 
                         {/* Result View */}
                         {!isProcessing && result && (
                             <div className="result-view">
+                                <div className="view-toggle">
+                                    {VIEW_MODES.map(mode => (
+                                        <button
+                                            key={mode.id}
+                                            className={`tool-button ${viewMode === mode.id ? 'active' : ''}`}
+                                            onClick={() => setViewMode(mode.id)}
+                                        >
+                                            {mode.label}
+                                        </button>
+                                    ))}
+                                </div>
                                 <div className="canvas-container" id="canvas-container">
-                                    <ResultCanvas result={result} />
+                                    <ResultCanvas
+                                        result={result}
+                                        view={viewMode}
+                                        original={sourceImage}
+                                        selectedRegionId={editTool === 'select' ? selectedRegionId : -1}
+                                        tool={editTool}
+                                        brush={brush}
+                                        onPick={handlePick}
+                                        onStroke={points => commitEdit(paintStroke(result, points, brush.radius, brush.colorIndex))}
+                                    />
                                 </div>
 
+                                {/* Region Editor */}
+                                <RegionEditor
+                                    result={result}
+                                    tool={editTool}
+                                    onToolChange={setEditTool}
+                                    selectedRegionId={selectedRegionId}
+                                    brush={brush}
+                                    onBrushChange={setBrush}
+                                    onRecolor={colorIndex => commitEdit(recolorRegion(result, selectedRegionId, colorIndex))}
+                                    onMerge={neighborId => commitEdit(mergeWithNeighbor(result, selectedRegionId, neighborId))}
+                                    onUndo={undoEdit}
+                                    onRedo={redoEdit}
+                                    canUndo={history.past.length > 0}
+                                    canRedo={history.future.length > 0}
+                                />
+
+                                {/* Region Validation Report */}
+                                {result.validation && (
+                                    <p className="result-note">
+                                        {result.numbers.length} numbered regions.
+                                        {result.outlineStats && result.outlineStats.after < result.outlineStats.before &&
+                                            ` Outlines simplified from ${result.outlineStats.before.toLocaleString()} to ${result.outlineStats.after.toLocaleString()} points.`}
+                                        {result.validation.merged > 0 && ` ${result.validation.merged} regions too small for their number were merged into a neighbour.`}
+                                        {(result.validation.cramped > 0 || result.validation.unlabeled > 0) && (
+                                            <span className="result-warning">
+                                                {` ${result.validation.cramped} regions are still tight for their number; ${result.validation.unlabeled} numbers sit outside their region on a leader line.`}
+                                            </span>
+                                        )}
+                                    </p>
+                                )}
+
+                                {/* Complexity Metrics */}
+                                {result.metrics && (
+                                    <p className="result-note">
+                                        Difficulty: <strong>{difficultyLevel(result.metrics.difficulty).label}</strong> ({result.metrics.difficulty}/100).
+                                        {` ${result.metrics.regions} regions, median ${Math.round(result.metrics.medianArea).toLocaleString()} px, smallest ${result.metrics.smallestArea.toLocaleString()} px;`}
+                                        {` ${Math.round(result.metrics.outlineLength).toLocaleString()} px of outline, ${result.metrics.numberDensity.toFixed(1)} numbers per 100×100 px, ${result.metrics.paints} paints.`}
+                                    </p>
+                                )}
+
+                                {/* Final Render */}
+                                {originalImageRef.current && (
+                                    <div className="final-render">
+                                        {finalResult ? (
+                                            <span>Exports use the full-size render ({finalResult.width} × {finalResult.height}px).</span>
+                                        ) : (
+                                            <span>Preview at {result.width} × {result.height}px. Exports use the preview until you render the final.</span>
+                                        )}
+                                        {!finalResult && (
+                                            <button className="btn-link" style={{ marginTop: 0 }} onClick={renderFinal} disabled={isRenderingFinal}>
+                                                Render final ({finalDimensions(originalImageRef.current, sourceTransform).w} × {finalDimensions(originalImageRef.current, sourceTransform).h}px)
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
+
                                 {/* Action Bar */}
                                 <div style={{ display: 'flex', gap: '1rem', marginTop: '1rem' }}>
-                                    <button className="btn-primary" onClick={() => downloadPNG()}>
+                                    <button className="btn-primary" onClick={() => downloadPNG(finalResult || result)}>
                                         <Download style={{ width: 16, height: 16, marginRight: 8, display: 'inline' }} />
                                         Download PNG
                                     </button>
-                                    <button className="btn-primary" style={{ backgroundColor: '#64748b' }} onClick={() => downloadSVG(result)}>
+                                    <button className="btn-primary" style={{ backgroundColor: '#64748b' }} onClick={() => downloadSVG(finalResult || result)}>
                                         <Download style={{ width: 16, height: 16, marginRight: 8, display: 'inline' }} />
                                         Download SVG
                                     </button>
+                                    <button className="btn-primary" style={{ backgroundColor: '#818cf8' }} onClick={() => downloadPDF(finalResult || result)} disabled={isExportingPdf}>
+                                        {isExportingPdf
+                                            ? <Loader2 className="animate-spin" style={{ width: 16, height: 16, marginRight: 8, display: 'inline' }} />
+                                            : <Printer style={{ width: 16, height: 16, marginRight: 8, display: 'inline' }} />}
+                                        Download PDF
+                                    </button>
+                                    <button className="btn-primary" style={{ backgroundColor: '#0ea5e9' }} onClick={saveProject} title="Save everything to reopen later">
+                                        <Save style={{ width: 16, height: 16, marginRight: 8, display: 'inline' }} />
+                                        Save Project
+                                    </button>
                                 </div>
 
-                                {/* Palette Legend */}
-                                <div className="palette-legend">
-                                    {result.palette.map((c, i) => {
+                                {/* Print Options */}
+                                <div className="print-options">
+                                    <label>
+                                        Page
+                                        <select
+                                            className="custom-select"
+                                            value={pdfOptions.pageSize}
+                                            onChange={e => setPdfOptions(o => ({ ...o, pageSize: e.target.value }))}
+                                        >
+                                            {Object.keys(PAGE_SIZES).map(size => <option key={size} value={size}>{size}</option>)}
+                                        </select>
+                                    </label>
+                                    <label>
+                                        DPI
+                                        <input
+                                            type="number" min={MIN_DPI} max={MAX_DPI} step="1"
+                                            className="custom-select"
+                                            value={dpiInput}
+                                            onChange={e => setDpiInput(e.target.value)}
+                                            onBlur={commitDpi}
+                                        />
+                                    </label>
+                                    <label>
+                                        Margin (mm)
+                                        <input
+                                            type="number" min="0" max="40" step="1"
+                                            className="custom-select"
+                                            value={pdfOptions.marginMm}
+                                            onChange={e => setPdfOptions(o => ({ ...o, marginMm: Math.min(40, Math.max(0, parseInt(e.target.value) || 0)) }))}
+                                        />
+                                    </label>
+                                    <label className="checkbox-label">
+                                        <input
+                                            type="checkbox"
+                                            checked={pdfOptions.cropMarks}
+                                            onChange={e => setPdfOptions(o => ({ ...o, cropMarks: e.target.checked }))}
+                                        />
+                                        Crop marks
+                                        {pdfOptions.cropMarks && !cropMarkSize(pdfOptions.marginMm) && (
+                                            <span className="result-warning">{` (need a ${MIN_CROP_MARK_MARGIN} mm margin)`}</span>
+                                        )}
+                                    </label>
+                                    {(() => {
+                                        const plan = planTiles(finalResult || result, pdfOptions);
                                         return (
-                                            <div key={i} className="swatch">
-                                                <div
-                                                    className="color-dot"
-                                                    style={{ backgroundColor: `lab(${c[0]}% ${c[1]} ${c[2]})` }}
-                                                />
-                                                <span style={{ fontSize: '0.75rem', color: '#94a3b8' }}>{i + 1}</span>
-                                            </div>
-                                        )
-                                    })}
+                                            <span className="print-summary">
+                                                {Math.round(plan.templateW)} × {Math.round(plan.templateH)} mm on {plan.tiles.length} {plan.orientation} {plan.tiles.length === 1 ? 'sheet' : `sheets (${plan.cols} × ${plan.rows})`}, plus legend and preview
+                                            </span>
+                                        );
+                                    })()}
                                 </div>
+
+                                {/* Palette Legend & Editor */}
+                                <PaletteEditor
+                                    result={result}
+                                    locked={lockedColors}
+                                    onApply={applyPalette}
+                                    onLocksChange={setPaletteLocks}
+                                />
+
+                                {/* Mixing Recipes */}
+                                {legendEntries(result).some(e => e.recipe) && (
+                                    <div className="recipe-list">
+                                        <h4>Mixing Recipes</h4>
+                                        {legendEntries(result).map((entry, i) => entry.recipe && (
+                                            <div key={i} className="recipe-row">
+                                                <span className="color-dot small" style={{ backgroundColor: entry.hex }} />
+                                                <span className="recipe-number">{entry.number}</span>
+                                                <span>{entry.recipe}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
                             </div>
                         )}
 
                         <button
                             className="btn-link"
-                            onClick={() => { setImageLoaded(false); setResult(null); }}
+                            onClick={() => {
+                                cancelJob();
+                                setImageLoaded(false);
+                                setResult(null);
+                                setFinalResult(null);
+                                setHistory({ past: [], future: [] });
+                                resetPalette();
+                            }}
                         >
                             Start Over
                         </button>
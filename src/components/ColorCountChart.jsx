@@ -0,0 +1,53 @@
+import React from 'react';
+
+// Plot area in SVG units; the chart scales to the panel width
+const WIDTH = 300;
+const HEIGHT = 110;
+const PAD = { left: 8, right: 8, top: 10, bottom: 18 };
+
+/**
+ * Score-vs-palette-size chart for the "Auto" colors suggestion (see
+ * pipeline/autoColors.js). The recommended size is highlighted and the
+ * current one ringed; clicking a point picks that size.
+ */
+export function ColorCountChart({ suggestion, current, onPick }) {
+    const { candidates, recommended } = suggestion;
+    const minK = candidates[0].k;
+    const maxK = candidates[candidates.length - 1].k;
+    const scores = candidates.map(c => c.score);
+    const lo = Math.min(...scores);
+    const hi = Math.max(...scores);
+
+    const x = k => PAD.left + (maxK > minK ? (k - minK) / (maxK - minK) : 0.5) * (WIDTH - PAD.left - PAD.right);
+    const y = score => PAD.top + (hi > lo ? (hi - score) / (hi - lo) : 0.5) * (HEIGHT - PAD.top - PAD.bottom);
+    // Axis labels at both ends and at the recommendation, unless it would overlap them
+    const ticks = [minK, maxK];
+    if (Math.min(Math.abs(x(recommended) - x(minK)), Math.abs(x(recommended) - x(maxK))) > 16) ticks.push(recommended);
+    const line = candidates.map((c, i) => `${i === 0 ? 'M' : 'L'}${x(c.k).toFixed(1)},${y(c.score).toFixed(1)}`).join(' ');
+
+    return (
+        <svg className="color-count-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Score by number of colors">
+            <path d={line} fill="none" stroke="var(--accent-secondary)" strokeWidth="1.5" />
+            {candidates.map(c => (
+                <g key={c.k} onClick={() => onPick(c.k)}>
+                    <title>
+                        {`${c.k} colors: score ${c.score.toFixed(2)}, mean ΔE ${c.error.toFixed(1)}, closest pair ΔE ${c.minDeltaE.toFixed(1)}, ~${c.regions} regions`}
+                    </title>
+                    {/* Wide invisible target so small dots are easy to hit */}
+                    <rect x={x(c.k) - 6} y={0} width={12} height={HEIGHT - PAD.bottom} fill="transparent" />
+                    {c.k === current && (
+                        <circle cx={x(c.k)} cy={y(c.score)} r={6} fill="none" stroke="white" strokeWidth="1.5" />
+                    )}
+                    <circle
+                        cx={x(c.k)} cy={y(c.score)}
+                        r={c.k === recommended ? 4 : 2.5}
+                        fill={c.k === recommended ? 'var(--accent-primary)' : 'var(--accent-secondary)'}
+                    />
+                </g>
+            ))}
+            {ticks.map(k => (
+                <text key={k} x={x(k)} y={HEIGHT - 4} textAnchor="middle">{k}</text>
+            ))}
+        </svg>
+    );
+}
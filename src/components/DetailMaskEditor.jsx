@@ -0,0 +1,143 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Brush, Eraser, Trash2 } from 'lucide-react';
+import { DETAIL_NORMAL, DETAIL_MORE, DETAIL_LESS, createDetailMask, paintDetailMask, isEmptyDetailMask } from '../pipeline/detailMask';
+
+// Overlay color per mask value (RGBA)
+const OVERLAY = {
+    [DETAIL_MORE]: [34, 197, 94, 110],
+    [DETAIL_LESS]: [239, 68, 68, 110]
+};
+
+const BRUSHES = [
+    { value: DETAIL_MORE, label: 'More detail', Icon: Brush },
+    { value: DETAIL_LESS, label: 'Less detail', Icon: Brush },
+    { value: DETAIL_NORMAL, label: 'Erase', Icon: Eraser }
+];
+
+// Helper: CSS color of a brush, for the live stroke and the buttons
+function brushColor(value) {
+    const c = OVERLAY[value];
+    return c ? `rgba(${c[0]}, ${c[1]}, ${c[2]}, 0.5)` : 'rgba(255, 255, 255, 0.5)';
+}
+
+/**
+ * Paint where the template should keep more detail (smaller specks survive)
+ * or less (bigger specks are cleaned up) over the source image. The mask has
+ * one value per source pixel; onChange(mask) gets a new mask per stroke, or
+ * null once cleared.
+ */
+export function DetailMaskEditor({ imageData, mask, onChange }) {
+    const canvasRef = useRef(null);
+    const strokeRef = useRef(null);
+    const [value, setValue] = useState(DETAIL_MORE);
+    const [radius, setRadius] = useState(12);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || !imageData) return;
+        const { width, height } = imageData;
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.putImageData(imageData, 0, 0);
+        if (!mask) return;
+
+        // Blend the overlay in by hand; putImageData would replace the image
+        const blended = ctx.getImageData(0, 0, width, height);
+        for (let i = 0; i < mask.data.length; i++) {
+            const c = OVERLAY[mask.data[i]];
+            if (!c) continue;
+            const a = c[3] / 255;
+            for (let k = 0; k < 3; k++) {
+                blended.data[i * 4 + k] = blended.data[i * 4 + k] * (1 - a) + c[k] * a;
+            }
+        }
+        ctx.putImageData(blended, 0, 0);
+    }, [imageData, mask]);
+
+    if (!imageData) return null;
+
+    // Helper: Pointer position in image pixels (the canvas is scaled by CSS)
+    const toImage = (e) => {
+        const canvas = canvasRef.current;
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (canvas.height / rect.height)
+        };
+    };
+
+    const dab = (from, to) => {
+        const ctx = canvasRef.current.getContext('2d');
+        ctx.strokeStyle = brushColor(value);
+        ctx.lineCap = 'round';
+        ctx.lineWidth = radius * 2;
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+    };
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        const p = toImage(e);
+        strokeRef.current = [p];
+        dab(p, p);
+    };
+
+    const handlePointerMove = (e) => {
+        const stroke = strokeRef.current;
+        if (!stroke) return;
+        const p = toImage(e);
+        dab(stroke[stroke.length - 1], p);
+        stroke.push(p);
+    };
+
+    const handlePointerUp = () => {
+        const stroke = strokeRef.current;
+        if (!stroke) return;
+        strokeRef.current = null;
+        const base = mask || createDetailMask(imageData.width, imageData.height);
+        const next = paintDetailMask(base, stroke, radius, value);
+        onChange(isEmptyDetailMask(next) ? null : next);
+    };
+
+    return (
+        <div className="detail-mask-editor">
+            <div className="region-editor-row">
+                {BRUSHES.map(({ value: v, label, Icon }) => (
+                    <button
+                        key={v}
+                        className={`tool-button ${v === value ? 'active' : ''}`}
+                        onClick={() => setValue(v)}
+                    >
+                        <Icon style={{ width: 14, height: 14, color: OVERLAY[v] ? brushColor(v) : undefined }} /> {label}
+                    </button>
+                ))}
+                <span className="region-editor-spacer" />
+                <button className="tool-button" onClick={() => onChange(null)} disabled={!mask} title="Clear the mask">
+                    <Trash2 style={{ width: 14, height: 14 }} />
+                </button>
+            </div>
+            <div className="region-editor-row">
+                <span className="region-editor-label">Size</span>
+                <input
+                    type="range"
+                    min="2"
+                    max="60"
+                    value={radius}
+                    onChange={e => setRadius(parseInt(e.target.value))}
+                />
+                <span className="region-editor-label">{radius}px</span>
+            </div>
+            <canvas
+                ref={canvasRef}
+                className="detail-mask-canvas"
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+            />
+        </div>
+    );
+}
@@ -0,0 +1,182 @@
+import React, { useMemo, useState } from 'react';
+import { Lock, Unlock, Trash2, Merge } from 'lucide-react';
+import { hex2lab, lab2hex } from '../utils/color';
+import { legendEntries } from '../utils/legend';
+import { paletteSpread, COLOR_METRICS } from '../pipeline/colorDistance';
+
+// Closest-pair ΔE below which two paints are hard to tell apart
+const CLOSE_DELTA_E = 5;
+
+// Helper: Pixels per palette entry, to weight merged colors
+function colorCounts(result) {
+    const counts = new Array(result.palette.length).fill(0);
+    for (let i = 0; i < result.labels.length; i++) counts[result.labels[i]]++;
+    return counts;
+}
+
+/**
+ * The palette legend, editable: click a swatch to change its color, merge it
+ * into another entry, delete it (its pixels go to the next-nearest color) or
+ * lock it. Locked entries stay put when the rest is clustered again.
+ *
+ * onApply({ colors, info, locked, recluster }) asks for a new run with that
+ * palette; onLocksChange takes the same object but only records the locks.
+ */
+export function PaletteEditor({ result, locked, onApply, onLocksChange }) {
+    const [selected, setSelected] = useState(-1);
+    const [draftHex, setDraftHex] = useState(null);
+    const entries = legendEntries(result);
+    const counts = useMemo(() => colorCounts(result), [result]);
+    const current = selected >= 0 && selected < result.palette.length ? selected : -1;
+    // Results saved before the readout existed don't carry it
+    const spread = useMemo(() => result.paletteSpread !== undefined ? result.paletteSpread : paletteSpread(result.palette), [result]);
+
+    const info = () => result.paletteInfo.map(({ name, code, hex }) => ({ name, code, hex }));
+    const locks = () => result.palette.map((_, i) => !!locked[i]);
+
+    const select = (i) => {
+        setSelected(i === current ? -1 : i);
+        setDraftHex(null);
+    };
+
+    const applyColor = () => {
+        const lab = hex2lab(draftHex);
+        if (!lab) return;
+        const colors = result.palette.map((c, i) => (i === current ? lab : c));
+        const newInfo = info();
+        newInfo[current] = { name: null, code: null, hex: draftHex }; // No longer the named paint
+        onApply({ colors, info: newInfo, locked: locks(), recluster: false });
+        setDraftHex(null);
+    };
+
+    // Pixel-weighted average of both colors, kept at the target's number
+    const mergeInto = (target) => {
+        const a = result.palette[target];
+        const b = result.palette[current];
+        const wa = counts[target] || 1;
+        const wb = counts[current] || 1;
+        const mixed = a.map((v, k) => (v * wa + b[k] * wb) / (wa + wb));
+
+        const newInfo = info();
+        newInfo[target] = { name: null, code: null, hex: lab2hex(mixed[0], mixed[1], mixed[2]) };
+        const colors = result.palette.map((c, i) => (i === target ? mixed : c));
+        const keep = (_, i) => i !== current;
+        onApply({ colors: colors.filter(keep), info: newInfo.filter(keep), locked: locks().filter(keep), recluster: false });
+        setSelected(-1);
+    };
+
+    const remove = () => {
+        const keep = (_, i) => i !== current;
+        onApply({ colors: result.palette.filter(keep), info: info().filter(keep), locked: locks().filter(keep), recluster: false });
+        setSelected(-1);
+    };
+
+    const toggleLock = (i) => {
+        const next = locks();
+        next[i] = !next[i];
+        onLocksChange({ colors: result.palette, info: info(), locked: next, recluster: false });
+    };
+
+    const recluster = () => {
+        onApply({ colors: result.palette, info: info(), locked: locks(), recluster: true });
+    };
+
+    const anyLocked = result.palette.some((_, i) => locked[i]);
+    const allLocked = result.palette.every((_, i) => locked[i]);
+
+    return (
+        <>
+            <div className="palette-legend">
+                {entries.map((entry, i) => {
+                    const c = result.palette[i];
+                    return (
+                        <button
+                            key={i}
+                            className={`swatch swatch-button ${i === current ? 'active' : ''}`}
+                            title={entry.text}
+                            onClick={() => select(i)}
+                        >
+                            <div
+                                className="color-dot"
+                                style={{ backgroundColor: `lab(${c[0]}% ${c[1]} ${c[2]})` }}
+                            />
+                            <span style={{ fontSize: '0.75rem', color: '#94a3b8' }}>
+                                {entry.number}
+                                {locked[i] && <Lock style={{ width: 10, height: 10, marginLeft: 2, display: 'inline' }} />}
+                            </span>
+                            {entry.name && (
+                                <span className="swatch-name">
+                                    {entry.name}{entry.code && <em> {entry.code}</em>}
+                                </span>
+                            )}
+                        </button>
+                    )
+                })}
+            </div>
+
+            {spread && (
+                <p className="result-note" style={{ marginTop: 0 }}>
+                    Closest colors: {entries[spread.pair[0]].number} & {entries[spread.pair[1]].number},
+                    ΔE {spread.minDeltaE.toFixed(1)} ({COLOR_METRICS[spread.metric]}).
+                    {spread.minDeltaE < CLOSE_DELTA_E && (
+                        <span className="result-warning"> These are hard to tell apart; consider merging them.</span>
+                    )}
+                </p>
+            )}
+
+            {current >= 0 && (
+                <div className="region-editor">
+                    <div className="region-editor-row">
+                        <span className="region-editor-label">Color {current + 1}, {counts[current]} px</span>
+                        <input
+                            type="color"
+                            value={draftHex || lab2hex(...result.palette[current])}
+                            onChange={e => setDraftHex(e.target.value)}
+                        />
+                        {draftHex && (
+                            <button className="tool-button" onClick={applyColor}>Apply color</button>
+                        )}
+                        <span className="region-editor-spacer" />
+                        <button className="tool-button" onClick={() => toggleLock(current)} title="Keep this color when re-clustering">
+                            {locked[current]
+                                ? <><Lock style={{ width: 14, height: 14 }} /> Locked</>
+                                : <><Unlock style={{ width: 14, height: 14 }} /> Lock</>}
+                        </button>
+                        <button
+                            className="tool-button"
+                            onClick={remove}
+                            disabled={result.palette.length < 2}
+                            title="Remove this color; its pixels go to the next-nearest color"
+                        >
+                            <Trash2 style={{ width: 14, height: 14 }} /> Delete
+                        </button>
+                    </div>
+                    {result.palette.length > 1 && (
+                        <div className="region-editor-row">
+                            <span className="region-editor-label">
+                                <Merge style={{ width: 14, height: 14, display: 'inline' }} /> Merge into
+                            </span>
+                            {entries.map((entry, i) => i !== current && (
+                                <button
+                                    key={i}
+                                    className="palette-chip"
+                                    style={{ backgroundColor: entry.hex }}
+                                    onClick={() => mergeInto(i)}
+                                    title={`Merge with color ${entry.number}`}
+                                >
+                                    {entry.number}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {anyLocked && (
+                <button className="btn-link" style={{ marginTop: 0 }} onClick={recluster} disabled={allLocked}>
+                    Re-cluster unlocked colors
+                </button>
+            )}
+        </>
+    );
+}
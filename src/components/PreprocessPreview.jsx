@@ -0,0 +1,77 @@
+import React, { useEffect, useRef } from 'react';
+import { rgb2lab, lab2rgb } from '../utils/color';
+import { preprocessLab } from '../pipeline/preprocess';
+
+// Longest side of the before/after thumbnails
+const THUMB_DIM = 240;
+
+/**
+ * Side-by-side thumbnails of the (cropped, rotated) source before and after
+ * pre-processing, so each slider can be judged without waiting for a run.
+ */
+export function PreprocessPreview({ imageData, options }) {
+    const beforeRef = useRef(null);
+    const afterRef = useRef(null);
+
+    useEffect(() => {
+        if (!imageData) return;
+        let cancelled = false;
+
+        const scale = Math.min(1, THUMB_DIM / Math.max(imageData.width, imageData.height));
+        const w = Math.max(1, Math.round(imageData.width * scale));
+        const h = Math.max(1, Math.round(imageData.height * scale));
+
+        // Downscale through a canvas
+        const full = document.createElement('canvas');
+        full.width = imageData.width;
+        full.height = imageData.height;
+        full.getContext('2d').putImageData(imageData, 0, 0);
+
+        const before = beforeRef.current;
+        before.width = w;
+        before.height = h;
+        const beforeCtx = before.getContext('2d');
+        beforeCtx.drawImage(full, 0, 0, w, h);
+        const thumb = beforeCtx.getImageData(0, 0, w, h);
+
+        const lab = new Float32Array(w * h * 3);
+        for (let i = 0; i < w * h; i++) {
+            const [L, a, b] = rgb2lab(thumb.data[i * 4], thumb.data[i * 4 + 1], thumb.data[i * 4 + 2]);
+            lab[i * 3] = L;
+            lab[i * 3 + 1] = a;
+            lab[i * 3 + 2] = b;
+        }
+
+        preprocessLab(lab, w, h, options, { scale }).then(out => {
+            if (cancelled) return;
+            const after = afterRef.current;
+            after.width = w;
+            after.height = h;
+            const afterCtx = after.getContext('2d');
+            const rendered = afterCtx.createImageData(w, h);
+            for (let i = 0; i < w * h; i++) {
+                const [r, g, b] = lab2rgb(out[i * 3], out[i * 3 + 1], out[i * 3 + 2]);
+                rendered.data[i * 4] = r;
+                rendered.data[i * 4 + 1] = g;
+                rendered.data[i * 4 + 2] = b;
+                rendered.data[i * 4 + 3] = 255;
+            }
+            afterCtx.putImageData(rendered, 0, 0);
+        });
+
+        return () => { cancelled = true; };
+    }, [imageData, options]);
+
+    return (
+        <div className="preprocess-preview">
+            <figure>
+                <canvas ref={beforeRef} />
+                <figcaption>Before</figcaption>
+            </figure>
+            <figure>
+                <canvas ref={afterRef} />
+                <figcaption>After</figcaption>
+            </figure>
+        </div>
+    );
+}
@@ -0,0 +1,54 @@
+import React from 'react';
+import { FolderOpen, Trash2 } from 'lucide-react';
+import { PROJECT_EXTENSION } from '../utils/projectFile';
+
+// Helper: "12 Mar, 14:05"
+function formatDate(time) {
+    return new Date(time).toLocaleString(undefined, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Start screen companion to the upload card: open a saved project file, or
+ * pick up one of the auto-saved recent projects.
+ */
+export function RecentProjects({ projects, onOpen, onDelete, onOpenFile, error }) {
+    return (
+        <div className="recent-projects glass-panel">
+            <div className="region-editor-row">
+                <h4>Projects</h4>
+                <span className="region-editor-spacer" />
+                <label className="tool-button">
+                    <FolderOpen style={{ width: 14, height: 14 }} /> Open project file
+                    <input
+                        type="file"
+                        accept={`${PROJECT_EXTENSION},.zip`}
+                        onChange={e => {
+                            const file = e.target.files?.[0];
+                            e.target.value = '';
+                            if (file) onOpenFile(file);
+                        }}
+                        style={{ display: 'none' }}
+                    />
+                </label>
+            </div>
+            {error && <p className="result-warning" style={{ fontSize: '0.75rem' }}>{error}</p>}
+            {projects.length === 0 ? (
+                <p className="region-editor-hint">Projects are saved here automatically while you work.</p>
+            ) : (
+                <ul>
+                    {projects.map(p => (
+                        <li key={p.id}>
+                            <button className="recent-project" onClick={() => onOpen(p.id)}>
+                                <span>{p.name}</span>
+                                <em>{formatDate(p.savedAt)}, {(p.size / 1024 / 1024).toFixed(1)} MB</em>
+                            </button>
+                            <button className="tool-button" onClick={() => onDelete(p.id)} title="Remove from recent projects">
+                                <Trash2 style={{ width: 14, height: 14 }} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,130 @@
+import React from 'react';
+import { MousePointer2, Brush, Undo2, Redo2 } from 'lucide-react';
+import { lab2hex } from '../utils/color';
+import { regionNeighbors } from '../pipeline/edit';
+
+/**
+ * Tool bar for touching up a result: pick a tool, recolor or merge the
+ * selected region, choose the brush color and size, undo/redo.
+ */
+export function RegionEditor({
+    result,
+    tool,
+    onToolChange,
+    selectedRegionId,
+    brush,
+    onBrushChange,
+    onRecolor,
+    onMerge,
+    onUndo,
+    onRedo,
+    canUndo,
+    canRedo
+}) {
+    const geometries = result.topology.objects.regions.geometries;
+    const selected = selectedRegionId >= 0 ? geometries[selectedRegionId] : null;
+    const neighbors = selected ? regionNeighbors(result, selectedRegionId).slice(0, 6) : [];
+    const hexes = result.palette.map(c => lab2hex(c[0], c[1], c[2]));
+
+    return (
+        <div className="region-editor">
+            <div className="region-editor-row">
+                <button
+                    className={`tool-button ${tool === 'select' ? 'active' : ''}`}
+                    onClick={() => onToolChange('select')}
+                    title="Click a region to select it"
+                >
+                    <MousePointer2 style={{ width: 14, height: 14 }} /> Select
+                </button>
+                <button
+                    className={`tool-button ${tool === 'brush' ? 'active' : ''}`}
+                    onClick={() => onToolChange('brush')}
+                    title="Paint over the template with a palette color"
+                >
+                    <Brush style={{ width: 14, height: 14 }} /> Brush
+                </button>
+                <span className="region-editor-spacer" />
+                <button className="tool-button" onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+                    <Undo2 style={{ width: 14, height: 14 }} />
+                </button>
+                <button className="tool-button" onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+                    <Redo2 style={{ width: 14, height: 14 }} />
+                </button>
+            </div>
+
+            {tool === 'select' && !selected && (
+                <p className="region-editor-hint">Click a region on the template to recolor it or merge it into a neighbour.</p>
+            )}
+
+            {tool === 'select' && selected && (
+                <>
+                    <div className="region-editor-row">
+                        <span className="region-editor-label">
+                            Region color {selected.properties.colorIndex + 1}, {selected.properties.area} px
+                        </span>
+                    </div>
+                    <div className="region-editor-row">
+                        <span className="region-editor-label">Recolor</span>
+                        {hexes.map((hex, i) => (
+                            <button
+                                key={i}
+                                className={`palette-chip ${i === selected.properties.colorIndex ? 'active' : ''}`}
+                                style={{ backgroundColor: hex }}
+                                onClick={() => onRecolor(i)}
+                                title={`Color ${i + 1}`}
+                            >
+                                {i + 1}
+                            </button>
+                        ))}
+                    </div>
+                    {neighbors.length > 0 && (
+                        <div className="region-editor-row">
+                            <span className="region-editor-label">Merge into</span>
+                            {neighbors.map(n => (
+                                <button
+                                    key={n.regionId}
+                                    className="palette-chip"
+                                    style={{ backgroundColor: hexes[n.colorIndex] }}
+                                    onClick={() => onMerge(n.regionId)}
+                                    title={`Neighbour with color ${n.colorIndex + 1}, ${n.length} px shared border`}
+                                >
+                                    {n.colorIndex + 1}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </>
+            )}
+
+            {tool === 'brush' && (
+                <>
+                    <div className="region-editor-row">
+                        <span className="region-editor-label">Paint with</span>
+                        {hexes.map((hex, i) => (
+                            <button
+                                key={i}
+                                className={`palette-chip ${i === brush.colorIndex ? 'active' : ''}`}
+                                style={{ backgroundColor: hex }}
+                                onClick={() => onBrushChange({ ...brush, colorIndex: i })}
+                                title={`Color ${i + 1}`}
+                            >
+                                {i + 1}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="region-editor-row">
+                        <span className="region-editor-label">Size</span>
+                        <input
+                            type="range"
+                            min="1"
+                            max="40"
+                            value={brush.radius}
+                            onChange={e => onBrushChange({ ...brush, radius: parseInt(e.target.value) })}
+                        />
+                        <span className="region-editor-label">{brush.radius}px</span>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
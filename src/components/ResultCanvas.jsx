@@ -1,114 +1,479 @@
-import React, { useEffect, useRef } from 'react';
-
-// Helper: LAB to RGB conversion for display
-function lab2rgb(L, a, b) {
-    let y = (L + 16) / 116;
-    let x = a / 500 + y;
-    let z = y - b / 200;
-
-    const x3 = x * x * x;
-    const y3 = y * y * y;
-    const z3 = z * z * z;
-
-    x = 0.95047 * (x3 > 0.008856 ? x3 : (x - 16 / 116) / 7.787);
-    y = 1.00000 * (y3 > 0.008856 ? y3 : (y - 16 / 116) / 7.787);
-    z = 1.08883 * (z3 > 0.008856 ? z3 : (z - 16 / 116) / 7.787);
-
-    let r = x * 3.2406 + y * -1.5372 + z * -0.4986;
-    let g = x * -0.9689 + y * 1.8758 + z * 0.0415;
-    let bl = x * 0.0557 + y * -0.2040 + z * 1.0570;
-
-    r = r > 0.0031308 ? 1.055 * Math.pow(r, 1.0 / 2.4) - 0.055 : 12.92 * r;
-    g = g > 0.0031308 ? 1.055 * Math.pow(g, 1.0 / 2.4) - 0.055 : 12.92 * g;
-    bl = bl > 0.0031308 ? 1.055 * Math.pow(bl, 1.0 / 2.4) - 0.055 : 12.92 * bl;
-
-    return [
-        Math.max(0, Math.min(255, r * 255)),
-        Math.max(0, Math.min(255, g * 255)),
-        Math.max(0, Math.min(255, bl * 255))
-    ];
+import React, { useEffect, useRef, useState } from 'react';
+import { ZoomIn, ZoomOut, Maximize } from 'lucide-react';
+import { lab2rgb, lab2hex } from '../utils/color';
+import { ringCoords } from '../pipeline/topology';
+
+// Palette fill and original image as canvases, built once per result/image
+const fillCache = new WeakMap();
+const imageCache = new WeakMap();
+
+// Path2D and bounding box per outline, built once per outline
+const pathCache = new WeakMap();
+
+// Zoom range relative to fitting the whole template, and wheel sensitivity
+const MIN_ZOOM_FACTOR = 0.5;
+const MAX_ZOOM = 32;
+const WHEEL_ZOOM_SPEED = 0.0015;
+
+// Pointer travel (CSS px) before a click with the select tool becomes a pan
+const DRAG_THRESHOLD = 4;
+
+// Helper: Canvas with every pixel in its palette color
+function filledCanvas(result) {
+    let canvas = fillCache.get(result);
+    if (canvas) return canvas;
+
+    const { width, height, labels, palette } = result;
+    canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const imgData = ctx.createImageData(width, height);
+    const data = imgData.data;
+    const rgbPalette = palette.map(p => lab2rgb(p[0], p[1], p[2]));
+
+    for (let i = 0; i < labels.length; i++) {
+        const [r, g, b] = rgbPalette[labels[i]];
+        data[i * 4] = r;
+        data[i * 4 + 1] = g;
+        data[i * 4 + 2] = b;
+        data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(imgData, 0, 0);
+    fillCache.set(result, canvas);
+    return canvas;
+}
+
+// Helper: ImageData as a canvas, so it can be drawn with transforms
+function imageCanvas(imageData) {
+    let canvas = imageCache.get(imageData);
+    if (canvas) return canvas;
+
+    canvas = document.createElement('canvas');
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+    imageCache.set(imageData, canvas);
+    return canvas;
+}
+
+// View modes: what each one draws
+export const VIEW_MODES = [
+    { id: 'template', label: 'Template' }, // Outlines and numbers, as printed
+    { id: 'filled', label: 'Color' }, // Every region in its palette color
+    { id: 'compare', label: 'Compare' }, // Swipe between the original and the colors
+    { id: 'faded', label: 'Faded' } // Template over faded colors
+];
+
+// Helper: Cached Path2D and [x0, y0, x1, y1] bounds of an outline
+function outlineShape(outline) {
+    let shape = pathCache.get(outline);
+    if (shape) return shape;
+
+    let bounds = null;
+    if (outline.points) {
+        bounds = [Infinity, Infinity, -Infinity, -Infinity];
+        for (const [x, y] of outline.points) {
+            if (x < bounds[0]) bounds[0] = x;
+            if (y < bounds[1]) bounds[1] = y;
+            if (x > bounds[2]) bounds[2] = x;
+            if (y > bounds[3]) bounds[3] = y;
+        }
+    }
+    shape = { path: new Path2D(outline.path), bounds };
+    pathCache.set(outline, shape);
+    return shape;
+}
+
+// Helper: Put the context in image space for a camera. Camera: CSS px =
+// template px * zoom + (x, y), where template px include the margin.
+function applyCamera(ctx, camera, pixelRatio, margin) {
+    const s = camera.zoom * pixelRatio;
+    ctx.setTransform(s, 0, 0, s, camera.x * pixelRatio, camera.y * pixelRatio);
+    ctx.translate(margin, margin);
+}
+
+/**
+ * Draw a template (white background, outlines, numbers) onto a 2D context
+ * sized width + 2 * margin by height + 2 * margin. Used for the on-screen
+ * canvas and for PNG exports.
+ *
+ * `view` picks one of VIEW_MODES; 'compare' shows `original` (ImageData)
+ * left of `split` (0..1 of the width) and the palette colors right of it.
+ * On screen, `camera` ({ zoom, x, y }) and `pixelRatio` place the template
+ * on a canvas of any size; paths and numbers are drawn as vectors at that
+ * scale, and with `viewport` ({ width, height } in CSS px) only what falls
+ * inside it is drawn.
+ */
+export function drawTemplate(ctx, result, {
+    view = 'template',
+    original = null,
+    split = 0.5,
+    camera = { zoom: 1, x: 0, y: 0 },
+    pixelRatio = 1,
+    viewport = null
+} = {}) {
+    const { width, height, numbers } = result;
+    const margin = result.margin || 0; // Room for leader-line numbers
+    const showTemplate = view === 'template' || view === 'faded';
+    // Lines stay one screen pixel wide when zoomed in
+    const lineScale = 1 / Math.max(1, camera.zoom);
+
+    // Visible part of the image, for culling
+    const visible = viewport
+        ? {
+            x0: -camera.x / camera.zoom - margin,
+            y0: -camera.y / camera.zoom - margin,
+            x1: (viewport.width - camera.x) / camera.zoom - margin,
+            y1: (viewport.height - camera.y) / camera.zoom - margin
+        }
+        : null;
+    const inView = (x0, y0, x1, y1) => !visible || (x1 >= visible.x0 && x0 <= visible.x1 && y1 >= visible.y0 && y0 <= visible.y1);
+
+    // 1. Clear
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+
+    // Background
+    applyCamera(ctx, camera, pixelRatio, 0);
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, width + margin * 2, height + margin * 2);
+    ctx.translate(margin, margin);
+
+    // 2. Color layers. Pixels stay crisp squares when zoomed in.
+    ctx.imageSmoothingEnabled = camera.zoom < 1;
+    if (view !== 'template') {
+        ctx.globalAlpha = view === 'faded' ? 0.35 : 1;
+        ctx.drawImage(filledCanvas(result), 0, 0);
+        ctx.globalAlpha = 1;
+    }
+
+    if (view === 'compare' && original) {
+        const x = Math.round(width * split);
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(0, 0, x, height);
+        ctx.clip();
+        ctx.drawImage(imageCanvas(original), 0, 0, width, height);
+        ctx.restore();
+
+        // Divider with a grip
+        ctx.fillStyle = 'white';
+        ctx.fillRect(x - lineScale, 0, 2 * lineScale, height);
+        ctx.beginPath();
+        ctx.arc(x, height / 2, 8 * lineScale, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#0f172a';
+        ctx.lineWidth = lineScale;
+        ctx.stroke();
+    }
+    ctx.imageSmoothingEnabled = true;
+
+    // 3. Render SVG Outlines
+    // Canvas Path2D constructor accepts SVG path data!
+    if (showTemplate && result.outlines) {
+        ctx.lineWidth = lineScale;
+        ctx.strokeStyle = view === 'faded' ? '#475569' : '#cbd5e1'; // Darker over color, slate-300 on white
+
+        for (const outline of result.outlines) {
+            const { path, bounds } = outlineShape(outline);
+            if (bounds && !inView(...bounds)) continue;
+            ctx.stroke(path);
+        }
+    }
+
+    // 4. Render Numbers
+    if (showTemplate && numbers) {
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        for (const num of numbers) {
+            const size = num.fontSize || 10;
+            const ax = num.leader ? Math.min(num.x, num.leader.x) : num.x;
+            const ay = num.leader ? Math.min(num.y, num.leader.y) : num.y;
+            const bx = num.leader ? Math.max(num.x, num.leader.x) : num.x;
+            const by = num.leader ? Math.max(num.y, num.leader.y) : num.y;
+            if (!inView(ax - size, ay - size, bx + size, by + size)) continue;
+
+            // Leader line from the region out to the number in the margin
+            if (num.leader) {
+                ctx.strokeStyle = '#64748b';
+                ctx.lineWidth = 0.5 * lineScale;
+                ctx.beginPath();
+                ctx.moveTo(num.leader.x, num.leader.y);
+                ctx.lineTo(num.x, num.y);
+                ctx.stroke();
+                ctx.fillStyle = '#64748b';
+                ctx.beginPath();
+                ctx.arc(num.leader.x, num.leader.y, lineScale, 0, Math.PI * 2);
+                ctx.fill();
+            }
+
+            // Adaptive color? No, PBN is usually black text on white.
+            ctx.font = `${size}px sans-serif`; // Inter if loaded
+            ctx.fillStyle = '#334155'; // Slate 700
+            ctx.fillText(num.label, num.x, num.y);
+        }
+    }
 }
 
-export function ResultCanvas({ result }) {
+// Outline and tint one region on top of the template
+function drawHighlight(ctx, result, regionId, camera, pixelRatio) {
+    const geometry = result.topology?.objects.regions.geometries[regionId];
+    if (!geometry) return;
+
+    applyCamera(ctx, camera, pixelRatio, result.margin || 0);
+
+    const path = new Path2D();
+    for (const ring of geometry.arcs) {
+        const coords = ringCoords(result.topology.arcs, ring);
+        coords.forEach(([x, y], i) => (i === 0 ? path.moveTo(x, y) : path.lineTo(x, y)));
+        path.closePath();
+    }
+
+    ctx.fillStyle = 'rgba(56, 189, 248, 0.25)';
+    ctx.fill(path, 'evenodd');
+    ctx.strokeStyle = '#0ea5e9';
+    ctx.lineWidth = 2 / Math.max(1, camera.zoom);
+    ctx.stroke(path);
+}
+
+// Helper: Camera that fits the whole template, centered, into the viewport
+function fitCamera(templateWidth, templateHeight, viewport) {
+    const zoom = Math.min(viewport.width / templateWidth, viewport.height / templateHeight) || 1;
+    return {
+        zoom,
+        x: (viewport.width - templateWidth * zoom) / 2,
+        y: (viewport.height - templateHeight * zoom) / 2
+    };
+}
+
+/**
+ * The template on screen, with zoom (wheel, pinch, buttons) and pan (drag).
+ * With `tool` set it is also the editing surface: 'select' reports clicks
+ * through onPick({ x, y }) and pans on drag, 'brush' previews the stroke and
+ * hands all its points to onStroke(points) on release (pan with the middle
+ * button or two fingers). Points are in image pixels. In the 'compare'
+ * view, dragging moves the divider between `original` and the palette colors.
+ */
+export function ResultCanvas({ result, view = 'template', original = null, selectedRegionId = -1, tool = null, brush = null, onPick, onStroke }) {
+    const viewportRef = useRef(null);
     const canvasRef = useRef(null);
-    const { width, height, labels, palette, numbers } = result;
+    const gestureRef = useRef(null); // { type: 'pending' | 'pan' | 'stroke' | 'swipe' | 'pinch', ... }
+    const pointersRef = useRef(new Map()); // pointerId => { x, y } in CSS px
+    const [split, setSplit] = useState(0.5);
+    const [viewport, setViewport] = useState({ width: 0, height: 0 });
+    const [camera, setCamera] = useState(null); // null = fit to view
+    const [redraws, setRedraws] = useState(0); // Bumped to wipe a brush preview
+    const { width, height } = result;
+    const margin = result.margin || 0;
+    const templateWidth = width + margin * 2;
+    const templateHeight = height + margin * 2;
+    const comparing = view === 'compare' && original;
+    const activeTool = comparing ? null : tool;
+    const pixelRatio = window.devicePixelRatio || 1;
+
+    const fit = fitCamera(templateWidth, templateHeight, viewport);
+    const current = camera || fit;
+    const cameraRef = useRef(current);
+    cameraRef.current = current;
+
+    // Track the viewport size
+    useEffect(() => {
+        const element = viewportRef.current;
+        const observer = new ResizeObserver(([entry]) => {
+            const { width: w, height: h } = entry.contentRect;
+            setViewport({ width: Math.round(w), height: Math.round(h) });
+        });
+        observer.observe(element);
+        return () => observer.disconnect();
+    }, []);
+
+    // A template of another size starts fitted again
+    useEffect(() => {
+        setCamera(null);
+    }, [width, height]);
 
     useEffect(() => {
         const canvas = canvasRef.current;
-        if (!canvas) return;
+        if (!canvas || viewport.width === 0) return;
+        canvas.width = Math.round(viewport.width * pixelRatio);
+        canvas.height = Math.round(viewport.height * pixelRatio);
         const ctx = canvas.getContext('2d');
+        drawTemplate(ctx, result, { view, original, split, camera: current, pixelRatio, viewport });
+        if (selectedRegionId >= 0 && !comparing) drawHighlight(ctx, result, selectedRegionId, current, pixelRatio);
+    }, [result, view, original, split, selectedRegionId, comparing, current.zoom, current.x, current.y, viewport, pixelRatio, redraws]);
 
-        // 1. Clear
-        ctx.clearRect(0, 0, width, height);
+    // Zoom by `factor` keeping the CSS point (px, py) in place
+    const zoomAt = (px, py, factor) => {
+        setCamera(prev => {
+            const c = prev || fitCamera(templateWidth, templateHeight, viewport);
+            const minZoom = fitCamera(templateWidth, templateHeight, viewport).zoom * MIN_ZOOM_FACTOR;
+            const zoom = Math.max(minZoom, Math.min(MAX_ZOOM, c.zoom * factor));
+            const k = zoom / c.zoom;
+            return { zoom, x: px - (px - c.x) * k, y: py - (py - c.y) * k };
+        });
+    };
 
-        // 2. Render SVG Outlines
-        // Note: We can render paths directly to canvas2d for performance
-        // But for "Paint by Numbers" style, we usually want white background + black lines
-        // Text is rendered on top.
+    // Wheel zoom needs a non-passive listener to keep the page from scrolling
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const handleWheel = (e) => {
+            e.preventDefault();
+            const rect = canvas.getBoundingClientRect();
+            zoomAt(e.clientX - rect.left, e.clientY - rect.top, Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED));
+        };
+        canvas.addEventListener('wheel', handleWheel, { passive: false });
+        return () => canvas.removeEventListener('wheel', handleWheel);
+    });
 
-        // Background
-        ctx.fillStyle = 'white';
-        ctx.fillRect(0, 0, width, height);
+    // Helper: Pointer position in CSS px relative to the canvas
+    const toLocal = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
 
-        const path2D = new Path2D();
+    // Helper: CSS px to image pixels
+    const toImage = ({ x, y }) => {
+        const c = cameraRef.current;
+        return { x: (x - c.x) / c.zoom - margin, y: (y - c.y) / c.zoom - margin };
+    };
 
-        // Optimize: Batch logic? 
-        // We have 'outlines' which are SVG path strings "M...L..."
-        // Canvas Path2D constructor accepts SVG path data!
+    // Brush preview straight on the canvas; the template is redrawn once the
+    // edit comes back
+    const dab = (from, to) => {
+        const ctx = canvasRef.current.getContext('2d');
+        const c = result.palette[brush.colorIndex];
+        applyCamera(ctx, cameraRef.current, pixelRatio, margin);
+        ctx.strokeStyle = c ? lab2hex(c[0], c[1], c[2]) : '#0ea5e9';
+        ctx.globalAlpha = 0.6;
+        ctx.lineCap = 'round';
+        ctx.lineWidth = brush.radius * 2;
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    };
 
-        if (result.outlines) {
-            ctx.lineWidth = 1;
-            ctx.strokeStyle = '#cbd5e1'; // slate-300 light grey lines
+    const swipeTo = (p) => {
+        setSplit(Math.max(0, Math.min(1, toImage(p).x / width)));
+    };
 
-            for (const outline of result.outlines) {
-                const p = new Path2D(outline.path);
-                ctx.stroke(p);
+    // Helper: Distance and midpoint of the first two pointers
+    const pinchState = () => {
+        const [a, b] = [...pointersRef.current.values()];
+        return { dist: Math.hypot(a.x - b.x, a.y - b.y) || 1, mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } };
+    };
 
-                // Optional: Fill with light hint of color?
-                // const [r,g,b] = lab2rgb(...)
-                // ctx.fillStyle = `rgba(${r},${g},${b}, 0.1)`;
-                // ctx.fill(p);
-            }
-        } else {
-            // Fallback to pixel rendering if no outlines
-            const imgData = ctx.createImageData(width, height);
-            const data = imgData.data;
-            const rgbPalette = palette.map(p => lab2rgb(p[0], p[1], p[2]));
-
-            for (let i = 0; i < labels.length; i++) {
-                const colorIdx = labels[i];
-                const [r, g, b] = rgbPalette[colorIdx];
-                data[i * 4] = r;
-                data[i * 4 + 1] = g;
-                data[i * 4 + 2] = b;
-                data[i * 4 + 3] = 255;
-            }
-            ctx.putImageData(imgData, 0, 0);
+    const handlePointerDown = (e) => {
+        const p = toLocal(e);
+        pointersRef.current.set(e.pointerId, p);
+        e.currentTarget.setPointerCapture(e.pointerId);
+
+        // Second finger: pinch, dropping whatever the first one started
+        if (pointersRef.current.size === 2) {
+            if (gestureRef.current?.type === 'stroke') setRedraws(n => n + 1);
+            gestureRef.current = { type: 'pinch', start: pinchState(), camera: cameraRef.current };
+            return;
+        }
+        if (pointersRef.current.size > 2) return;
+
+        if (e.button === 1 || (!activeTool && !comparing)) {
+            gestureRef.current = { type: 'pan', from: p, camera: cameraRef.current };
+        } else if (comparing) {
+            gestureRef.current = { type: 'swipe' };
+            swipeTo(p);
+        } else if (activeTool === 'select') {
+            gestureRef.current = { type: 'pending', from: p, camera: cameraRef.current };
+        } else if (activeTool === 'brush' && brush) {
+            const point = toImage(p);
+            gestureRef.current = { type: 'stroke', points: [point] };
+            dab(point, point);
         }
+    };
 
-        // 3. Render Numbers
-        if (numbers) {
-            ctx.font = '10px sans-serif'; // Inter if loaded
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
+    const handlePointerMove = (e) => {
+        if (!pointersRef.current.has(e.pointerId)) return;
+        const p = toLocal(e);
+        pointersRef.current.set(e.pointerId, p);
+        const gesture = gestureRef.current;
+        if (!gesture) return;
 
-            for (const num of numbers) {
-                // Adaptive color? No, PBN is usually black text on white.
-                ctx.fillStyle = '#334155'; // Slate 700
-                ctx.fillText(num.label, num.x, num.y);
+        if (gesture.type === 'pinch' && pointersRef.current.size >= 2) {
+            const { dist, mid } = pinchState();
+            const c = gesture.camera;
+            const minZoom = fit.zoom * MIN_ZOOM_FACTOR;
+            const zoom = Math.max(minZoom, Math.min(MAX_ZOOM, c.zoom * dist / gesture.start.dist));
+            const k = zoom / c.zoom;
+            setCamera({
+                zoom,
+                x: mid.x - (gesture.start.mid.x - c.x) * k,
+                y: mid.y - (gesture.start.mid.y - c.y) * k
+            });
+        } else if (gesture.type === 'pending') {
+            if (Math.hypot(p.x - gesture.from.x, p.y - gesture.from.y) > DRAG_THRESHOLD) {
+                gestureRef.current = { ...gesture, type: 'pan' };
             }
+        } else if (gesture.type === 'pan') {
+            setCamera({
+                ...gesture.camera,
+                x: gesture.camera.x + p.x - gesture.from.x,
+                y: gesture.camera.y + p.y - gesture.from.y
+            });
+        } else if (gesture.type === 'swipe') {
+            swipeTo(p);
+        } else if (gesture.type === 'stroke') {
+            const point = toImage(p);
+            dab(gesture.points[gesture.points.length - 1], point);
+            gesture.points.push(point);
         }
+    };
+
+    const handlePointerUp = (e) => {
+        pointersRef.current.delete(e.pointerId);
+        const gesture = gestureRef.current;
+        // A pinch ends when all fingers lift; nothing resumes in between
+        if (gesture?.type === 'pinch' && pointersRef.current.size > 0) return;
+        gestureRef.current = null;
+        if (!gesture || e.type === 'pointercancel') return;
+
+        if (gesture.type === 'pending') {
+            onPick?.(toImage(gesture.from));
+        } else if (gesture.type === 'stroke') {
+            onStroke?.(gesture.points);
+        }
+    };
+
+    const zoomBy = (factor) => zoomAt(viewport.width / 2, viewport.height / 2, factor);
 
-    }, [result]);
+    let cursor;
+    if (comparing) cursor = 'ew-resize';
+    else if (activeTool) cursor = 'crosshair';
+    else cursor = 'grab';
 
     return (
-        <div className="relative border border-slate-700 rounded-lg overflow-hidden">
+        <div ref={viewportRef} className="result-viewport">
             <canvas
                 ref={canvasRef}
-                width={width}
-                height={height}
-                className="max-w-full max-h-[70vh] w-auto h-auto block"
+                style={{ width: viewport.width, height: viewport.height, cursor, touchAction: 'none' }}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
             />
+            <div className="zoom-controls">
+                <button className="tool-button" onClick={() => zoomBy(1 / 1.5)} title="Zoom out">
+                    <ZoomOut style={{ width: 14, height: 14 }} />
+                </button>
+                <span className="zoom-level">{Math.round(current.zoom * 100)}%</span>
+                <button className="tool-button" onClick={() => zoomBy(1.5)} title="Zoom in (or use the mouse wheel / pinch)">
+                    <ZoomIn style={{ width: 14, height: 14 }} />
+                </button>
+                <button className="tool-button" onClick={() => setCamera(null)} title="Fit to view">
+                    <Maximize style={{ width: 14, height: 14 }} />
+                </button>
+            </div>
         </div>
     );
 }
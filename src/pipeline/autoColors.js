@@ -0,0 +1,112 @@
+// Palette size suggestion ("Auto" colors).
+//
+// Each candidate k is clustered on a reduced sample and measured three ways:
+// how far pixels are from their palette color (quantization error, lower is
+// more faithful), how close the two nearest palette colors are (minimum ΔE,
+// higher is easier to tell apart) and how many regions the template would
+// have (speck cleanup run on a coarse grid; fewer regions and paints are less
+// work). The score trades these off; the best-scoring k is recommended and the rest are shown as a chart.
+
+// Palette sizes tried, denser where one color more makes a visible difference
+export const COLOR_COUNT_CANDIDATES = [2, 3, 4, 5, 6, 7, 8, 10, 12, 14, 16, 18, 20, 24, 28, 32, 36, 40, 45, 50];
+
+// Longer side of the grid regions are predicted on
+const PREDICTION_SIZE = 128;
+
+// Closest-pair ΔE at which two colors count as fully distinct
+const DISTINCT_DELTA_E = 5;
+
+// Share of the score for fidelity, distinct colors and little work (few
+// regions and few paints)
+const SCORE_WEIGHTS = { fidelity: 0.5, distinct: 0.25, effort: 0.25 };
+
+/**
+ * Point-sampled copy of LAB pixels whose longer side is at most
+ * PREDICTION_SIZE: { lab, width, height, scale } with `scale` the source
+ * pixels per grid pixel along each side.
+ */
+export function predictionGrid(labPixels, width, height) {
+    const scale = Math.max(1, Math.ceil(Math.max(width, height) / PREDICTION_SIZE));
+    const w = Math.ceil(width / scale);
+    const h = Math.ceil(height / scale);
+    const lab = new Float32Array(w * h * 3);
+
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            const src = (y * scale * width + x * scale) * 3;
+            const dst = (y * w + x) * 3;
+            lab[dst] = labPixels[src];
+            lab[dst + 1] = labPixels[src + 1];
+            lab[dst + 2] = labPixels[src + 2];
+        }
+    }
+
+    return { lab, width: w, height: h, scale };
+}
+
+// Helper: Nearest centroid per grid pixel (Int32Array)
+export function assignGrid(grid, centroids, distance) {
+    const { lab } = grid;
+    const labels = new Int32Array(grid.width * grid.height);
+
+    for (let i = 0; i < labels.length; i++) {
+        const px = [lab[i * 3], lab[i * 3 + 1], lab[i * 3 + 2]];
+        let best = Infinity;
+        for (let c = 0; c < centroids.length; c++) {
+            const d = distance(px, centroids[c]);
+            if (d < best) {
+                best = d;
+                labels[i] = c;
+            }
+        }
+    }
+
+    return labels;
+}
+
+// Helper: Mean of the samples (the one-color palette)
+export function meanColor(samples) {
+    const count = samples.length / 3;
+    const sum = [0, 0, 0];
+    for (let i = 0; i < samples.length; i++) sum[i % 3] += samples[i];
+    return sum.map(v => (count > 0 ? v / count : 0));
+}
+
+// Helper: Mean ΔE from each sample to its nearest centroid
+export function quantizationError(samples, centroids, distance) {
+    const count = samples.length / 3;
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+        const px = [samples[i * 3], samples[i * 3 + 1], samples[i * 3 + 2]];
+        let best = Infinity;
+        for (const c of centroids) best = Math.min(best, distance(px, c));
+        total += Math.sqrt(best);
+    }
+    return count > 0 ? total / count : 0;
+}
+
+/**
+ * Score measured candidates ({ k, error, minDeltaE, regions }, ascending k)
+ * in [0, 1]. `baseError` is the error with a single color (the mean) and
+ * `regionCapacity` the most regions the prediction grid can hold (its area
+ * over the smallest region kept), so scores don't depend on which sizes were
+ * tried. Returns { candidates (each with `score`), recommended: k }.
+ */
+export function scoreColorCounts(measured, { baseError, regionCapacity }) {
+    const fewest = COLOR_COUNT_CANDIDATES[0];
+    const most = COLOR_COUNT_CANDIDATES[COLOR_COUNT_CANDIDATES.length - 1];
+
+    const candidates = measured.map(m => {
+        const fidelity = baseError > 0 ? Math.max(0, 1 - m.error / baseError) : 1;
+        const distinct = Math.min(1, m.minDeltaE / DISTINCT_DELTA_E);
+        const effort = (Math.sqrt(Math.min(1, m.regions / regionCapacity)) + (m.k - fewest) / (most - fewest)) / 2;
+        const score = SCORE_WEIGHTS.fidelity * fidelity
+            + SCORE_WEIGHTS.distinct * distinct
+            + SCORE_WEIGHTS.effort * (1 - effort);
+        return { ...m, score };
+    });
+
+    // Ties go to the smaller palette
+    const recommended = candidates.reduce((a, b) => (b.score > a.score ? b : a)).k;
+    return { candidates, recommended };
+}
@@ -0,0 +1,84 @@
+// Color distance used for clustering and palette assignment.
+//
+// CIE76 is plain Euclidean distance in LAB: fast, but it overrates lightness
+// steps (shadows eat palette entries) and underrates hue shifts among warm
+// tones. CIE94 and CIEDE2000 follow perception more closely at some cost.
+// The lightness and chroma weights make differences of that kind count more
+// (> 1) or less (< 1) with any metric.
+import { deltaE94, deltaE2000 } from '../utils/color.js';
+
+export const COLOR_METRICS = {
+    cie76: 'CIE76',
+    cie94: 'CIE94',
+    ciede2000: 'CIEDE2000'
+};
+
+export const DEFAULT_COLOR_DISTANCE = {
+    metric: 'cie76',
+    lightnessWeight: 1,
+    chromaWeight: 1
+};
+
+// Helper: Throw for an unknown metric or weights that aren't positive
+function validate({ metric, lightnessWeight, chromaWeight }) {
+    if (!COLOR_METRICS[metric]) throw new Error(`Unknown color distance metric: ${metric}`);
+    for (const [name, w] of [['lightnessWeight', lightnessWeight], ['chromaWeight', chromaWeight]]) {
+        if (!(Number.isFinite(w) && w > 0)) throw new Error(`${name} must be a positive number, got ${w}`);
+    }
+}
+
+/**
+ * (a, b) => squared distance between two LAB colors under `options`
+ * ({ metric, lightnessWeight, chromaWeight }). Squared so the default case
+ * stays as cheap as before and k-means++ weights keep their meaning.
+ */
+export function createDistance(options = DEFAULT_COLOR_DISTANCE) {
+    const { metric, lightnessWeight: wL, chromaWeight: wC } = { ...DEFAULT_COLOR_DISTANCE, ...options };
+    validate({ metric, lightnessWeight: wL, chromaWeight: wC });
+
+    if (metric === 'cie94') return (a, b) => deltaE94(a, b, 1 / wL, 1 / wC) ** 2;
+    if (metric === 'ciede2000') return (a, b) => deltaE2000(a, b, 1 / wL, 1 / wC) ** 2;
+
+    if (wL === 1 && wC === 1) {
+        return (a, b) => {
+            const dL = a[0] - b[0];
+            const da = a[1] - b[1];
+            const db = a[2] - b[2];
+            return dL * dL + da * da + db * db;
+        };
+    }
+
+    // Weighted CIE76: split the a/b difference into chroma and hue parts
+    return (a, b) => {
+        const dL = a[0] - b[0];
+        const da = a[1] - b[1];
+        const db = a[2] - b[2];
+        const dC = Math.hypot(a[1], a[2]) - Math.hypot(b[1], b[2]);
+        const dH2 = Math.max(0, da * da + db * db - dC * dC);
+        return wL * wL * dL * dL + wC * wC * dC * dC + dH2;
+    };
+}
+
+/**
+ * The two palette entries closest to each other: { minDeltaE, pair: [i, j],
+ * metric }, with ΔE in the chosen metric (unweighted), or null for fewer
+ * than two colors. Below roughly 5 two paints are hard to tell apart.
+ */
+export function paletteSpread(palette, { metric = DEFAULT_COLOR_DISTANCE.metric } = {}) {
+    if (palette.length < 2) return null;
+    const distance = createDistance({ metric });
+
+    let best = Infinity;
+    let pair = [0, 1];
+    for (let i = 0; i < palette.length; i++) {
+        for (let j = i + 1; j < palette.length; j++) {
+            const d = distance(palette[i], palette[j]);
+            if (d < best) {
+                best = d;
+                pair = [i, j];
+            }
+        }
+    }
+
+    return { minDeltaE: Math.sqrt(best), pair, metric };
+}
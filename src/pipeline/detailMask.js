@@ -0,0 +1,75 @@
+// Detail mask: one value per preview pixel saying whether that part of the
+// image should keep more detail (a face) or less (a busy background) than the
+// global settings give. Painted in the UI, read by speck removal and,
+// optionally, by palette sampling.
+
+export const DETAIL_NORMAL = 0;
+export const DETAIL_MORE = 1;
+export const DETAIL_LESS = 2;
+
+// Multiplier on minRegionSize per mask value
+const MIN_SIZE_FACTOR = [1, 0.25, 4];
+
+// Relative chance of a pixel being sampled for clustering per mask value
+const SAMPLE_WEIGHT = [1, 3, 0.5];
+
+export function createDetailMask(width, height) {
+    return { width, height, data: new Uint8Array(width * height) };
+}
+
+// Helper: True when nothing has been painted
+export function isEmptyDetailMask(mask) {
+    return !mask || mask.data.every(v => v === DETAIL_NORMAL);
+}
+
+/**
+ * Paint a stroke (mask-space points, round brush of `radius`) with `value`.
+ * Returns a new mask; the old one is left alone so it can be an undo step.
+ */
+export function paintDetailMask(mask, points, radius, value) {
+    const { width, height } = mask;
+    const data = new Uint8Array(mask.data);
+    const r2 = radius * radius;
+
+    const stamp = (cx, cy) => {
+        const xMin = Math.max(0, Math.floor(cx - radius));
+        const xMax = Math.min(width - 1, Math.ceil(cx + radius));
+        const yMin = Math.max(0, Math.floor(cy - radius));
+        const yMax = Math.min(height - 1, Math.ceil(cy + radius));
+        for (let y = yMin; y <= yMax; y++) {
+            for (let x = xMin; x <= xMax; x++) {
+                const dx = x + 0.5 - cx;
+                const dy = y + 0.5 - cy;
+                if (dx * dx + dy * dy <= r2) data[y * width + x] = value;
+            }
+        }
+    };
+
+    // Stamp at half-radius spacing so fast drags leave no gaps
+    points.forEach((p, i) => {
+        const prev = points[i - 1] || p;
+        const steps = Math.max(1, Math.ceil(Math.hypot(p.x - prev.x, p.y - prev.y) / Math.max(0.5, radius / 2)));
+        for (let s = 1; s <= steps; s++) {
+            stamp(prev.x + (p.x - prev.x) * s / steps, prev.y + (p.y - prev.y) * s / steps);
+        }
+    });
+
+    return { width, height, data };
+}
+
+// Helper: Mask value under pixel (x, y) of an image `width` x `height`,
+// which may be larger than the mask (the final render)
+export function detailAt(mask, x, y, width, height) {
+    const mx = Math.min(mask.width - 1, Math.floor(x * mask.width / width));
+    const my = Math.min(mask.height - 1, Math.floor(y * mask.height / height));
+    return mask.data[my * mask.width + mx];
+}
+
+// Helper: Per-pixel minimum region size factor and sample weight
+export function minSizeFactor(value) {
+    return MIN_SIZE_FACTOR[value] ?? 1;
+}
+
+export function sampleWeight(value) {
+    return SAMPLE_WEIGHT[value] ?? 1;
+}
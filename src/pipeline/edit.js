@@ -0,0 +1,184 @@
+// Manual region edits on a finished template: recolor, merge, brush.
+//
+// Every edit boils down to new color indices for some pixels. Only the box
+// around those pixels is re-traced (retraceTopology) and only the regions
+// inside it get new numbers; everything else keeps its arcs and labels.
+// Results are never mutated, so the previous one can serve as an undo step.
+import { labelRegions, regionAdjacency, retraceTopology, ringCoords } from './topology.js';
+import { calculateLabelPositions, resolveLabelCollisions } from './labels.js';
+import { buildOutlines } from './simplify.js';
+import { buildRegionTable } from './regions.js';
+import { templateMetrics } from './metrics.js';
+
+// Region ID per pixel for results that don't carry one, computed once
+const regionIdCache = new WeakMap();
+
+export function regionIdsOf(result) {
+    if (result.regionIds) return result.regionIds;
+    let regionIds = regionIdCache.get(result);
+    if (!regionIds) {
+        regionIds = labelRegions(result.labels, result.width, result.height).regionIds;
+        regionIdCache.set(result, regionIds);
+    }
+    return regionIds;
+}
+
+// Region under an image-space point, or -1 outside the image
+export function regionAtPoint(result, x, y) {
+    const px = Math.floor(x);
+    const py = Math.floor(y);
+    if (px < 0 || py < 0 || px >= result.width || py >= result.height) return -1;
+    return regionIdsOf(result)[py * result.width + px];
+}
+
+// Neighbours of a region, longest shared border first
+export function regionNeighbors(result, regionId) {
+    const geometries = result.topology.objects.regions.geometries;
+    const adjacency = regionAdjacency(result.topology, geometries.length);
+    return [...adjacency[regionId]]
+        .map(([neighborId, length]) => ({ regionId: neighborId, colorIndex: geometries[neighborId].properties.colorIndex, length }))
+        .sort((a, b) => b.length - a.length);
+}
+
+// Give every pixel of a region another palette color
+export function recolorRegion(result, regionId, colorIndex) {
+    const regionIds = regionIdsOf(result);
+    const pixels = [];
+    for (let i = 0; i < regionIds.length; i++) {
+        if (regionIds[i] === regionId) pixels.push(i);
+    }
+    return applyEdit(result, pixels, colorIndex);
+}
+
+// Merge a region into a neighbour by taking the neighbour's color
+export function mergeWithNeighbor(result, regionId, neighborId) {
+    const colorIndex = result.topology.objects.regions.geometries[neighborId].properties.colorIndex;
+    return recolorRegion(result, regionId, colorIndex);
+}
+
+// Paint a brush stroke (image-space points, round brush of `radius`)
+export function paintStroke(result, points, radius, colorIndex) {
+    const { width, height } = result;
+    const pixels = new Set();
+    const r2 = radius * radius;
+
+    // Stamp along each segment at half-radius spacing so fast drags leave no gaps
+    const stamp = (cx, cy) => {
+        const xMin = Math.max(0, Math.floor(cx - radius));
+        const xMax = Math.min(width - 1, Math.ceil(cx + radius));
+        const yMin = Math.max(0, Math.floor(cy - radius));
+        const yMax = Math.min(height - 1, Math.ceil(cy + radius));
+        for (let y = yMin; y <= yMax; y++) {
+            for (let x = xMin; x <= xMax; x++) {
+                const dx = x + 0.5 - cx;
+                const dy = y + 0.5 - cy;
+                if (dx * dx + dy * dy <= r2) pixels.add(y * width + x);
+            }
+        }
+    };
+
+    points.forEach((p, i) => {
+        const prev = points[i - 1] || p;
+        const steps = Math.max(1, Math.ceil(Math.hypot(p.x - prev.x, p.y - prev.y) / Math.max(0.5, radius / 2)));
+        for (let s = 1; s <= steps; s++) {
+            stamp(prev.x + (p.x - prev.x) * s / steps, prev.y + (p.y - prev.y) * s / steps);
+        }
+    });
+
+    return applyEdit(result, [...pixels], colorIndex);
+}
+
+// Set `pixels` to `colorIndex`, re-trace around them and renumber the
+// regions that changed. Returns the same result when nothing changed.
+function applyEdit(result, pixels, colorIndex) {
+    const { width, height } = result;
+    const labels = result.labels.slice();
+    const edited = result.edited ? new Uint8Array(result.edited) : new Uint8Array(labels.length);
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+
+    for (const i of pixels) {
+        if (labels[i] === colorIndex) continue;
+        labels[i] = colorIndex;
+        edited[i] = 1;
+        const x = i % width;
+        const y = (i - x) / width;
+        if (x < x0) x0 = x;
+        if (y < y0) y0 = y;
+        if (x > x1) x1 = x;
+        if (y > y1) y1 = y;
+    }
+    if (x0 === Infinity) return result;
+
+    // One pixel of padding: neighbours of changed pixels may join or split too
+    const box = {
+        x0: Math.max(0, x0 - 1),
+        y0: Math.max(0, y0 - 1),
+        x1: Math.min(width, x1 + 2),
+        y1: Math.min(height, y1 + 2)
+    };
+
+    const oldRegionIds = regionIdsOf(result);
+    const topology = retraceTopology(result.topology, labels, width, height, box);
+    const { regionIds } = topology;
+    const geometries = topology.objects.regions.geometries;
+
+    // Regions with a pixel in the box are the only ones whose shape can change
+    const touchedOld = new Set();
+    const touchedNew = new Set();
+    for (let y = box.y0; y < box.y1; y++) {
+        for (let x = box.x0; x < box.x1; x++) {
+            touchedOld.add(oldRegionIds[y * width + x]);
+            touchedNew.add(regionIds[y * width + x]);
+        }
+    }
+
+    // Untouched regions keep their number, under their new region ID
+    const renumber = new Map();
+    for (let i = 0; i < oldRegionIds.length; i++) {
+        const r = oldRegionIds[i];
+        if (!touchedOld.has(r) && !renumber.has(r)) renumber.set(r, regionIds[i]);
+    }
+    const kept = result.numbers
+        .filter(n => renumber.has(n.regionId))
+        .map(n => ({ ...n, regionId: renumber.get(n.regionId) }));
+
+    const features = [...touchedNew].map(r => ({
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: geometries[r].arcs.map(ring => ringCoords(topology.arcs, ring)) },
+        properties: geometries[r].properties
+    }));
+
+    const fontSizes = result.fontSizes || { minFontSize: 8, maxFontSize: 20 };
+    const { numbers, margin } = resolveLabelCollisions(calculateLabelPositions(features, fontSizes), features, {
+        width,
+        height,
+        minFontSize: fontSizes.minFontSize,
+        fixed: kept
+    });
+
+    const next = {
+        ...result,
+        labels,
+        edited, // 1 where the user changed the color; the final render keeps these
+        regionIds,
+        regions: buildRegionTable(topology, numbers),
+        ...buildOutlines(topology, width, height, result.outlineStyle),
+        topology: { type: topology.type, arcs: topology.arcs, arcRegions: topology.arcRegions, objects: topology.objects },
+        numbers,
+        margin,
+        validation: editedValidation(result.validation, numbers)
+    };
+    return { ...next, metrics: templateMetrics(next) };
+}
+
+// Helper: The validation report after an edit. Merges only happen when the
+// template is built; tight and margin numbers are counted again, since brush
+// strokes can leave regions too small for their number.
+function editedValidation(validation, numbers) {
+    if (!validation) return validation;
+    return {
+        ...validation,
+        cramped: numbers.filter(n => n.cramped).length,
+        unlabeled: numbers.filter(n => n.leader).length
+    };
+}
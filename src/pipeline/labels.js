@@ -0,0 +1,281 @@
+// Number placement: one label per region, sized to its region, kept clear of
+// other labels and outlines, with a leader line to the margin when it can't fit.
+import polylabel from 'polylabel';
+
+// Digit advance relative to font size for the sans-serif faces we render with
+const CHAR_WIDTH = 0.6;
+
+// Helper: Width/height of a number drawn at `fontSize`
+export function labelBox(text, fontSize) {
+    return { w: String(text).length * CHAR_WIDTH * fontSize, h: fontSize };
+}
+
+// Largest font size whose label box fits inside a circle of `radius`
+export function fitFontSize(text, radius) {
+    const n = String(text).length * CHAR_WIDTH;
+    return (2 * radius) / Math.sqrt(n * n + 1);
+}
+
+/**
+ * Place one number per region at its pole of inaccessibility (polylabel).
+ * The font scales with the inscribed circle, between minFontSize and
+ * maxFontSize. `cramped` marks labels that don't fit even at minFontSize.
+ */
+export function calculateLabelPositions(regions, { minFontSize = 8, maxFontSize = 20 } = {}) {
+    const results = [];
+
+    for (const region of regions) {
+        // region is a GeoJSON Feature with Polygon geometry
+        // region.geometry.coordinates is [[[x,y]...], [[x,y]...] (holes)]
+
+        const polygon = region.geometry.coordinates;
+
+        // Polylabel expects [ [[x,y]...], ...holes ]
+        // This matches GeoJSON Polygon coordinates structure exactly.
+        // 1.0 precision usually enough
+        const center = polylabel(polygon, 1.0);
+        const label = region.properties.colorIndex + 1;
+
+        // Polylabel's distance is only accurate to its precision
+        const fit = fitFontSize(label, Math.max(0, center.distance - 0.5));
+
+        results.push({
+            x: center[0],
+            y: center[1],
+            label,
+            regionId: region.properties.regionId,
+            radius: center.distance, // Largest circle that fits around the number
+            fontSize: Math.max(minFontSize, Math.min(maxFontSize, Math.floor(fit))),
+            cramped: fit < minFontSize
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Move labels whose box overlaps another label or crosses an outline to the
+ * best other interior point of their region. Labels that still don't fit get
+ * a leader line from the region out to the margin around the image.
+ *
+ * Labels gain `leader: { x, y }` (the anchor inside the region) when moved
+ * out; their x/y then lie in the margin. Returns { numbers, margin } where
+ * margin is the padding renderers must add on every side (0 if no leaders).
+ *
+ * `fixed` labels are already on the template (after an edit, the numbers of
+ * untouched regions): they block the new ones and keep their place, except
+ * that margin labels are spread again together with the new ones. They are
+ * returned first in `numbers`.
+ */
+export function resolveLabelCollisions(numbers, regions, { width, height, minFontSize = 8, fixed = [] }) {
+    const polygons = new Map(regions.map(r => [r.properties.regionId, r.geometry.coordinates]));
+    const placed = new BoxIndex(Math.max(16, minFontSize * 4));
+    const needsLeader = [];
+
+    const kept = fixed.map(n => ({ ...n }));
+    for (const n of kept) {
+        if (n.leader) {
+            // Back to its anchor; placeLeaders moves it out again
+            n.x = n.leader.x;
+            n.y = n.leader.y;
+            needsLeader.push(n);
+        } else {
+            const { w, h } = labelBox(n.label, n.fontSize);
+            placed.insert(boxAt(n.x, n.y, w, h));
+        }
+    }
+
+    // Big labels first: they have the most room to move, small ones fill in
+    const order = numbers.map((_, i) => i).sort((a, b) => numbers[b].fontSize - numbers[a].fontSize);
+    const out = numbers.map(n => ({ ...n }));
+
+    for (const i of order) {
+        const n = out[i];
+        const polygon = polygons.get(n.regionId);
+
+        if (n.cramped || !polygon) {
+            needsLeader.push(n);
+            continue;
+        }
+
+        const { w, h } = labelBox(n.label, n.fontSize);
+        const halfDiag = Math.sqrt(w * w + h * h) / 2;
+        const fits = (x, y) => pointToPolygonDist(x, y, polygon) >= halfDiag && !placed.overlaps(boxAt(x, y, w, h));
+
+        if (!fits(n.x, n.y)) {
+            const alt = findInteriorPoint(polygon, halfDiag, fits);
+            if (!alt) {
+                needsLeader.push(n);
+                continue;
+            }
+            n.x = alt[0];
+            n.y = alt[1];
+        }
+
+        placed.insert(boxAt(n.x, n.y, w, h));
+    }
+
+    const margin = needsLeader.length > 0 ? Math.ceil(minFontSize * 3) : 0;
+    if (margin > 0) placeLeaders(needsLeader, { width, height, margin, fontSize: minFontSize });
+
+    return { numbers: kept.concat(out), margin };
+}
+
+// Scan the region's bounding box for the interior point farthest from the
+// outline that passes `fits`. Coarse grid, capped at ~400 probes.
+function findInteriorPoint(polygon, minDist, fits) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const [x, y] of polygon[0]) {
+        if (x < minX) minX = x;
+        if (y < minY) minY = y;
+        if (x > maxX) maxX = x;
+        if (y > maxY) maxY = y;
+    }
+
+    const step = Math.max(1, Math.sqrt(((maxX - minX) * (maxY - minY)) / 400));
+    let best = null;
+    let bestDist = -Infinity;
+
+    for (let y = minY + step / 2; y < maxY; y += step) {
+        for (let x = minX + step / 2; x < maxX; x += step) {
+            const d = pointToPolygonDist(x, y, polygon);
+            if (d >= minDist && d > bestDist && fits(x, y)) {
+                bestDist = d;
+                best = [x, y];
+            }
+        }
+    }
+
+    return best;
+}
+
+// Push each label straight out to the nearest image edge, then spread labels
+// sharing an edge so their boxes don't touch.
+function placeLeaders(labels, { width, height, margin, fontSize }) {
+    const sides = { top: [], bottom: [], left: [], right: [] };
+
+    for (const n of labels) {
+        n.leader = { x: n.x, y: n.y };
+        n.fontSize = fontSize;
+
+        const dists = { top: n.y, bottom: height - n.y, left: n.x, right: width - n.x };
+        const side = Object.keys(dists).reduce((a, b) => (dists[b] < dists[a] ? b : a));
+        sides[side].push(n);
+    }
+
+    const spread = (list, key, min, max) => {
+        list.sort((a, b) => a[key] - b[key]);
+        let prev = -Infinity;
+        for (const n of list) {
+            const size = key === 'x' ? labelBox(n.label, fontSize).w + 4 : fontSize + 2;
+            n[key] = Math.max(n[key], prev + size);
+            prev = n[key];
+        }
+        // Slide back in if the run overflowed the far end
+        let limit = max;
+        for (let i = list.length - 1; i >= 0; i--) {
+            const size = key === 'x' ? labelBox(list[i].label, fontSize).w + 4 : fontSize + 2;
+            if (list[i][key] > limit) list[i][key] = limit;
+            limit = list[i][key] - size;
+        }
+        for (const n of list) n[key] = Math.max(min, n[key]);
+    };
+
+    sides.top.forEach(n => { n.y = -margin / 2; });
+    sides.bottom.forEach(n => { n.y = height + margin / 2; });
+    sides.left.forEach(n => { n.x = -margin / 2; });
+    sides.right.forEach(n => { n.x = width + margin / 2; });
+
+    spread(sides.top, 'x', 0, width);
+    spread(sides.bottom, 'x', 0, width);
+    spread(sides.left, 'y', 0, height);
+    spread(sides.right, 'y', 0, height);
+}
+
+// Helper: Axis-aligned box centered on (x, y)
+function boxAt(x, y, w, h) {
+    return { x0: x - w / 2, y0: y - h / 2, x1: x + w / 2, y1: y + h / 2 };
+}
+
+// Uniform grid of placed label boxes for quick overlap tests
+class BoxIndex {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+
+    keys(box) {
+        const keys = [];
+        const cx0 = Math.floor(box.x0 / this.cellSize);
+        const cy0 = Math.floor(box.y0 / this.cellSize);
+        const cx1 = Math.floor(box.x1 / this.cellSize);
+        const cy1 = Math.floor(box.y1 / this.cellSize);
+        for (let cy = cy0; cy <= cy1; cy++) {
+            for (let cx = cx0; cx <= cx1; cx++) keys.push(cx + ':' + cy);
+        }
+        return keys;
+    }
+
+    insert(box) {
+        for (const key of this.keys(box)) {
+            if (!this.cells.has(key)) this.cells.set(key, []);
+            this.cells.get(key).push(box);
+        }
+    }
+
+    overlaps(box) {
+        for (const key of this.keys(box)) {
+            for (const other of this.cells.get(key) || []) {
+                if (box.x0 < other.x1 && box.x1 > other.x0 && box.y0 < other.y1 && box.y1 > other.y0) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+}
+
+// Signed distance from a point to the polygon outline (negative outside),
+// same approach as polylabel's internal helper
+export function pointToPolygonDist(x, y, polygon) {
+    let inside = false;
+    let minDistSq = Infinity;
+
+    for (const ring of polygon) {
+        for (let i = 0, len = ring.length, j = len - 1; i < len; j = i++) {
+            const a = ring[i];
+            const b = ring[j];
+
+            if ((a[1] > y !== b[1] > y) && (x < (b[0] - a[0]) * (y - a[1]) / (b[1] - a[1]) + a[0])) {
+                inside = !inside;
+            }
+
+            minDistSq = Math.min(minDistSq, segDistSq(x, y, a, b));
+        }
+    }
+
+    return (inside ? 1 : -1) * Math.sqrt(minDistSq);
+}
+
+// Helper: Squared distance from a point to a segment
+function segDistSq(px, py, a, b) {
+    let x = a[0];
+    let y = a[1];
+    let dx = b[0] - x;
+    let dy = b[1] - y;
+
+    if (dx !== 0 || dy !== 0) {
+        const t = ((px - x) * dx + (py - y) * dy) / (dx * dx + dy * dy);
+        if (t > 1) {
+            x = b[0];
+            y = b[1];
+        } else if (t > 0) {
+            x += dx * t;
+            y += dy * t;
+        }
+    }
+
+    dx = px - x;
+    dy = py - y;
+    return dx * dx + dy * dy;
+}
@@ -0,0 +1,153 @@
+// Complexity metrics for a template and the difficulty score derived from
+// them, plus the difficulty presets that aim settings at a region count.
+//
+// Areas and lengths are in result pixels, so they grow with the render size;
+// the difficulty score only uses size-independent ratios and is the same for
+// the preview and the final render of a template.
+
+// Score at or above which a template counts as each level (0-100)
+export const DIFFICULTY_LEVELS = [
+    { key: 'beginner', label: 'Beginner', from: 0 },
+    { key: 'intermediate', label: 'Intermediate', from: 40 },
+    { key: 'expert', label: 'Expert', from: 65 }
+];
+
+// Share of the difficulty score for each aspect
+const DIFFICULTY_WEIGHTS = { regions: 0.35, smallRegions: 0.25, outlines: 0.2, paints: 0.2 };
+
+// Numbers are counted per NUMBER_DENSITY_AREA pixels (a 100 × 100 square)
+const NUMBER_DENSITY_AREA = 100 * 100;
+
+/**
+ * Presets: settings to start from and the region count to end up in. The
+ * pipeline tries again with adjusted settings (see adjustForTarget) until
+ * the count is in range.
+ */
+export const DIFFICULTY_PRESETS = {
+    beginner: {
+        label: 'Beginner',
+        targetRegions: [40, 150],
+        settings: { kColors: 10, minRegionSize: 80, smoothing: 3 }
+    },
+    intermediate: {
+        label: 'Intermediate',
+        targetRegions: [150, 400],
+        settings: { kColors: 18, minRegionSize: 35, smoothing: 1 }
+    },
+    expert: {
+        label: 'Expert',
+        targetRegions: [400, 1200],
+        settings: { kColors: 30, minRegionSize: 10, smoothing: 0 }
+    }
+};
+
+// Range and step of the app's speck size slider; presets only pick values
+// it can show
+export const REGION_SIZE_SLIDER = { min: 0, max: 400, step: 5 };
+
+// Limits adjustForTarget stays within
+const MIN_COLORS = 4;
+const MAX_COLORS = 50;
+const MIN_REGION_SIZE = REGION_SIZE_SLIDER.step;
+const MAX_REGION_SIZE = REGION_SIZE_SLIDER.max;
+
+// Helper: Clamp to [0, 1]
+function unit(v) {
+    return Math.max(0, Math.min(1, v));
+}
+
+// Helper: Length of a polyline ([[x, y], ...])
+function polylineLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    }
+    return length;
+}
+
+/**
+ * Metrics for a result with a region table and outlines:
+ *   { regions, medianArea, smallestArea, outlineLength, numberDensity,
+ *     paints, difficulty, level }
+ * `outlineLength` counts each drawn border once and leaves out the image
+ * frame. `numberDensity` is numbers per 100 × 100 px, `paints` the palette
+ * entries some region uses.
+ */
+export function templateMetrics({ width, height, regions, outlines, numbers }) {
+    const areas = regions.map(r => r.area).sort((a, b) => a - b);
+    const mid = areas.length >> 1;
+    const medianArea = areas.length === 0 ? 0 : areas.length % 2 ? areas[mid] : (areas[mid - 1] + areas[mid]) / 2;
+
+    let outlineLength = 0;
+    for (const outline of outlines || []) {
+        if (!outline.regions.includes(-1)) outlineLength += polylineLength(outline.points);
+    }
+
+    const metrics = {
+        regions: regions.length,
+        medianArea,
+        smallestArea: areas.length > 0 ? areas[0] : 0,
+        outlineLength,
+        numberDensity: numbers.length / (width * height) * NUMBER_DENSITY_AREA,
+        paints: new Set(regions.map(r => r.color)).size
+    };
+    const difficulty = difficultyScore(metrics, width * height);
+    return { ...metrics, difficulty, level: difficultyLevel(difficulty).key };
+}
+
+/**
+ * Difficulty from 0 (a handful of big shapes) to 100, from `metrics` of a
+ * template covering `imageArea` pixels: how many regions there are, how
+ * small the typical one is, how much outline there is to follow and how
+ * many paints are needed.
+ */
+export function difficultyScore({ regions, medianArea, outlineLength, paints }, imageArea) {
+    // 20 regions count as trivial, 2000 as the most anyone paints
+    const regionPart = unit(Math.log(Math.max(1, regions) / 20) / Math.log(100));
+    // Median region a hundredth of the image or larger is easy, a
+    // ten-thousandth is tiny
+    const smallPart = medianArea > 0 ? unit(Math.log10(imageArea / medianArea / 100) / 2) : 0;
+    // Outline in image side lengths; a grid of 2000 squares has about 90
+    const outlinePart = unit(outlineLength / Math.sqrt(imageArea) / 90);
+    const paintPart = unit((paints - MIN_COLORS) / (40 - MIN_COLORS));
+
+    return Math.round(100 * (
+        DIFFICULTY_WEIGHTS.regions * regionPart
+        + DIFFICULTY_WEIGHTS.smallRegions * smallPart
+        + DIFFICULTY_WEIGHTS.outlines * outlinePart
+        + DIFFICULTY_WEIGHTS.paints * paintPart
+    ));
+}
+
+// Helper: The DIFFICULTY_LEVELS entry a score falls in
+export function difficultyLevel(score) {
+    return DIFFICULTY_LEVELS.reduce((level, next) => (score >= next.from ? next : level));
+}
+
+/**
+ * Settings to try next for `preset` after a result with `metrics`, or null
+ * when the region count is in range or the settings can't move further.
+ * Too many regions: bigger speck size and fewer colors; too few: the other
+ * way round. `settings` is the app's settings object.
+ */
+export function adjustForTarget(settings, preset, metrics) {
+    const [min, max] = preset.targetRegions;
+    if (metrics.regions >= min && metrics.regions <= max) return null;
+
+    const target = metrics.regions > max ? max : min;
+    // Region count roughly scales with 1 / speck size; move part of the way
+    const ratio = Math.sqrt(metrics.regions / target);
+    const size = Math.round(settings.minRegionSize * ratio / REGION_SIZE_SLIDER.step) * REGION_SIZE_SLIDER.step;
+    const minRegionSize = Math.max(MIN_REGION_SIZE, Math.min(MAX_REGION_SIZE, size));
+    const step = metrics.regions > max ? -2 : 2;
+    const kColors = Math.max(MIN_COLORS, Math.min(MAX_COLORS, settings.kColors + step));
+
+    if (minRegionSize === settings.minRegionSize && kColors === settings.kColors) return null;
+    return { ...settings, minRegionSize, kColors };
+}
+
+// Helper: `settings` with a preset's starting values applied
+export function applyPreset(settings, preset) {
+    const { kColors, minRegionSize, smoothing } = preset.settings;
+    return { ...settings, kColors, minRegionSize, preprocess: { ...settings.preprocess, smoothing } };
+}
@@ -0,0 +1,112 @@
+// Optional clean-up of the image before quantization. Everything happens in
+// LAB so the sliders act on perceived lightness and colorfulness:
+// brightness/contrast/saturation, edge-preserving (bilateral) smoothing that
+// flattens noise and texture without blurring across color edges, and
+// posterization that snaps near-identical shades together.
+
+export const DEFAULT_PREPROCESS = {
+    brightness: 0, // -50..50, added to L
+    contrast: 0, // -50..50 percent, L stretched around mid-grey
+    saturation: 0, // -100..100 percent, a/b scaled
+    smoothing: 0, // 0..10, bilateral filter radius in preview pixels
+    posterize: 0 // 0..10, LAB step of 2.5 per unit (0 = off)
+};
+
+// Helper: True when the options leave the image untouched
+export function isIdentityPreprocess(options) {
+    return Object.keys(DEFAULT_PREPROCESS).every(key => !options[key]);
+}
+
+/**
+ * Apply pre-processing to LAB pixels (Float32Array, 3 per pixel). Returns a
+ * new array; the input is left alone. `scale` multiplies the smoothing
+ * radius when working at a higher resolution than the preview. `job`, when
+ * given, is checkpointed for progress and cancellation.
+ */
+export async function preprocessLab(lab, width, height, options, { scale = 1, job = null } = {}) {
+    const opts = { ...DEFAULT_PREPROCESS, ...options };
+    let out = new Float32Array(lab);
+
+    if (opts.brightness || opts.contrast || opts.saturation) {
+        adjustLab(out, opts);
+    }
+
+    if (opts.smoothing > 0) {
+        const radius = Math.max(1, Math.round(opts.smoothing * scale));
+        const sigmaColor = 4 + 1.5 * opts.smoothing; // ΔE at which neighbours stop counting much
+        const tmp = new Float32Array(out.length);
+        await bilateralPass(out, tmp, width, height, radius, sigmaColor, true, job, 0);
+        await bilateralPass(tmp, out, width, height, radius, sigmaColor, false, job, 0.5);
+    }
+
+    if (opts.posterize > 0) {
+        posterizeLab(out, opts.posterize * 2.5);
+    }
+
+    return out;
+}
+
+// Brightness shifts L, contrast stretches L around 50, saturation scales chroma
+function adjustLab(lab, { brightness, contrast, saturation }) {
+    const c = 1 + contrast / 100;
+    const s = 1 + saturation / 100;
+    for (let i = 0; i < lab.length; i += 3) {
+        lab[i] = Math.max(0, Math.min(100, 50 + (lab[i] - 50) * c + brightness));
+        lab[i + 1] *= s;
+        lab[i + 2] *= s;
+    }
+}
+
+// Snap L, a and b to multiples of `step`
+function posterizeLab(lab, step) {
+    for (let i = 0; i < lab.length; i++) {
+        lab[i] = Math.round(lab[i] / step) * step;
+    }
+}
+
+// One direction of a separable bilateral filter. Each pixel becomes the
+// average of its neighbours along a row (or column), weighted by distance
+// and by color similarity, so edges between different colors survive.
+async function bilateralPass(src, dst, width, height, radius, sigmaColor, horizontal, job, progressStart) {
+    const sigmaSpace = Math.max(0.5, radius / 2);
+    const spatial = new Float32Array(radius * 2 + 1);
+    for (let k = -radius; k <= radius; k++) {
+        spatial[k + radius] = Math.exp(-(k * k) / (2 * sigmaSpace * sigmaSpace));
+    }
+    const colorFactor = -1 / (2 * sigmaColor * sigmaColor);
+
+    const lines = horizontal ? height : width;
+    const length = horizontal ? width : height;
+    const stride = horizontal ? 1 : width;
+
+    for (let line = 0; line < lines; line++) {
+        if (job && (line & 15) === 0) await job.checkpoint(progressStart + (line / lines) * 0.5);
+        const base = horizontal ? line * width : line;
+
+        for (let t = 0; t < length; t++) {
+            const i = (base + t * stride) * 3;
+            const L = src[i];
+            const a = src[i + 1];
+            const b = src[i + 2];
+            let sumL = 0, sumA = 0, sumB = 0, sumW = 0;
+
+            const k0 = Math.max(-radius, -t);
+            const k1 = Math.min(radius, length - 1 - t);
+            for (let k = k0; k <= k1; k++) {
+                const j = (base + (t + k) * stride) * 3;
+                const dL = src[j] - L;
+                const da = src[j + 1] - a;
+                const db = src[j + 2] - b;
+                const w = spatial[k + radius] * Math.exp((dL * dL + da * da + db * db) * colorFactor);
+                sumL += src[j] * w;
+                sumA += src[j + 1] * w;
+                sumB += src[j + 2] * w;
+                sumW += w;
+            }
+
+            dst[i] = sumL / sumW;
+            dst[i + 1] = sumA / sumW;
+            dst[i + 2] = sumB / sumW;
+        }
+    }
+}
@@ -0,0 +1,1128 @@
+// The paint-by-numbers pipeline: LAB conversion, palette (k-means or a paint
+// set), assignment, speck cleanup, tracing and number placement.
+//
+// Plain functions over typed arrays with no DOM or worker dependencies, so
+// the same code runs in the image worker, in Node (see bin/) and in tests.
+// Long stages report through a `job` ({ stage, status, checkpoint }, see
+// workers/jobs.js) and may reuse earlier outputs through a `cache`
+// (see stageCache.js); both are optional.
+import { buildTopology, labelRegions, regionAdjacency, ringCoords, linePath } from './topology.js';
+import { rgb2lab, hex2lab, lab2hex } from '../utils/color.js';
+import { prepareTubes, findRecipe, formatRecipe } from '../utils/mixing.js';
+import { calculateLabelPositions, resolveLabelCollisions } from './labels.js';
+import { stageKey, hashImage } from './stageCache.js';
+import { DEFAULT_PREPROCESS, isIdentityPreprocess, preprocessLab } from './preprocess.js';
+import { DEFAULT_SUPERPIXELS, segmentImage } from './superpixels.js';
+import { isEmptyDetailMask, detailAt, minSizeFactor, sampleWeight } from './detailMask.js';
+import { DEFAULT_OUTLINE_STYLE, buildOutlines } from './simplify.js';
+import { validateColorCount, toColorIndices, buildRegionTable } from './regions.js';
+import { DEFAULT_COLOR_DISTANCE, createDistance, paletteSpread } from './colorDistance.js';
+import { saliencyMap, saliencyWeights } from './saliency.js';
+import { templateMetrics, DIFFICULTY_PRESETS, applyPreset, adjustForTarget } from './metrics.js';
+import { COLOR_COUNT_CANDIDATES, predictionGrid, assignGrid, meanColor, quantizationError, scoreColorCounts } from './autoColors.js';
+
+const MAX_VALIDATION_PASSES = 4;
+
+// Rows per band when mapping a full-size image to the palette
+const FINAL_TILE_ROWS = 256;
+
+// Samples and most k-means iterations for each candidate palette size, and
+// the seed used when the settings bring none (so the suggestion doesn't
+// change per run). Twenty clusterings have to cost about one full run.
+const SWEEP_SAMPLES = 5000;
+const SWEEP_ITERATIONS = 6;
+const SWEEP_SEED = 1;
+
+// Most pipeline runs processPreset makes to reach a preset's region count
+const MAX_PRESET_RUNS = 5;
+
+// Per-pixel loops check for cancellation every CHECK_EVERY + 1 pixels
+const CHECK_EVERY = 0x3FFF;
+
+// Stand-in for runs nobody watches or cancels (scripts, tests)
+export const IDLE_JOB = {
+    stage() {},
+    status() {},
+    async checkpoint() {}
+};
+
+// Stand-in for one-off runs (the final render, scripts) that aren't cached
+const NO_CACHE = { get: (stage, key, compute) => compute(), peek: () => undefined };
+
+// Helper: Square of Euclidean distance (no sqrt needed for comparison)
+function distSq(a, b) {
+    const dL = a[0] - b[0];
+    const da = a[1] - b[1];
+    const db = a[2] - b[2];
+    return dL * dL + da * da + db * db;
+}
+
+/**
+ * Main processing pipeline
+ *
+ * Every stage goes through `cache` (a StageCache in the worker), keyed by
+ * the settings it depends on plus the key of the stage before it. Moving a
+ * late slider (speck size, font sizes) re-runs only cleanup and tracing;
+ * LAB conversion, clustering and assignment come from the cache.
+ *
+ * With `palette` (APPLY_PALETTE) the user's edited palette replaces
+ * clustering: { colors: LAB[], info, locked: bool[], recluster }. Pixels are
+ * assigned to those colors as they are, or with `recluster` the unlocked
+ * entries are clustered again around the locked ones.
+ *
+ * `detailMask` ({ width, height, data }, see detailMask.js) scales the
+ * speck size per pixel and, with settings.detailSampling, how often each
+ * pixel is sampled for clustering.
+ *
+ * Returns the result: palette, paletteInfo, seed, locked and the template
+ * (labels, regionIds, regions, topology, outlines, numbers, ...).
+ */
+export async function processImage({
+    imageData,
+    settings,
+    palette: custom = null,
+    detailMask = null
+}, { job = IDLE_JOB, cache = NO_CACHE } = {}) {
+    const { width, height } = imageData;
+    const {
+        kColors = 20,
+        minRegionSize = 20,
+        maxIterations = 10,
+        paletteMode = 'kmeans', // 'kmeans' | 'fixed'
+        paints = [],
+        segmentation = 'pixel', // 'pixel' | 'superpixel'
+        detailSampling = false, // Weight clustering samples by the detail mask
+        saliency = 0, // 0..1, how much rare, striking colors are favored in sampling
+        minFontSize = 8, // Numbers scale with their region between these sizes
+        maxFontSize = 20
+    } = settings; // User can tune this
+    const preprocess = { ...DEFAULT_PREPROCESS, ...settings.preprocess };
+    const superpixels = { ...DEFAULT_SUPERPIXELS, minArea: minRegionSize, ...settings.superpixels };
+    const outlineStyle = { ...DEFAULT_OUTLINE_STYLE, ...settings.outlines };
+    const colorDistance = { ...DEFAULT_COLOR_DISTANCE, ...settings.colorDistance };
+    const distance = createDistance(colorDistance);
+    const mask = isEmptyDetailMask(detailMask) ? null : detailMask;
+    const sampleMask = detailSampling ? mask : null;
+
+    if (!custom) validateColorCount(kColors);
+
+    const pixelCount = width * height;
+    const { labPixels, preKey, weights } = await prepareLab(imageData, { preprocess, saliency }, job, cache);
+
+    // 2. K-Means Clustering, or pick from the user's paint set.
+    // Same seed + same settings => same palette and regions. Without a seed
+    // from the user, keep the last one as long as nothing clustering depends
+    // on has changed, so later sliders don't reshuffle the palette.
+    let clusterInputs;
+    if (custom) {
+        if (!custom.colors || custom.colors.length === 0) throw new Error('The palette needs at least one color');
+        validateColorCount(custom.colors.length, 'The palette size');
+        clusterInputs = [preKey, 'custom', custom.colors, custom.recluster ? [paletteMode, custom.locked, maxIterations, paints] : null];
+    } else if (paletteMode === 'fixed') {
+        clusterInputs = [preKey, paletteMode, kColors, paints];
+    } else {
+        clusterInputs = [preKey, paletteMode, kColors, maxIterations];
+    }
+    clusterInputs.push(colorDistance, saliency);
+    if (sampleMask) clusterInputs.push(hashImage(sampleMask));
+    const previous = cache.peek('palette');
+    let seed;
+    if (Number.isInteger(settings.seed)) {
+        seed = settings.seed >>> 0;
+    } else if (previous && previous.key === stageKey([...clusterInputs, previous.value.seed])) {
+        seed = previous.value.seed;
+    } else {
+        seed = randomSeed();
+    }
+    const paletteKey = stageKey([...clusterInputs, seed]);
+
+    const palette = await cache.get('palette', paletteKey, async () => {
+        job.stage('Clustering Colors...', 25, 50);
+
+        // Optimization: Train on a subset
+        const samples = samplePixels(labPixels, width, height, sampleMask, weights);
+
+        if (custom) {
+            return { seed, ...(await editedPalette(custom, samples, { paletteMode, paints, maxIterations, seed, distance }, job)) };
+        }
+
+        if (paletteMode === 'fixed') {
+            const paintSet = resolvePaints(paints);
+            const chosen = await selectBestPaints(samples, paintSet, Math.min(kColors, paintSet.length), job, [], distance);
+            return {
+                seed,
+                centroids: chosen.map(p => p.lab),
+                paletteInfo: chosen.map(({ name, code, hex }) => ({ name, code, hex }))
+            };
+        }
+
+        const rng = createRng(seed);
+        const centroids = await kMeans(samples, kColors, rng, maxIterations, job, [], distance);
+        return {
+            seed,
+            centroids,
+            paletteInfo: centroids.map(c => ({ name: null, code: null, hex: lab2hex(c[0], c[1], c[2]) }))
+        };
+    });
+    const { centroids, locked } = palette;
+    let { paletteInfo } = palette;
+
+    // k-means colors rarely match a tube, so suggest how to mix them
+    if (paletteMode !== 'fixed' && paints.length > 0) {
+        const recipes = await cache.get('recipes', stageKey([paletteKey, paints]), async () => {
+            const tubes = prepareTubes(resolvePaints(paints));
+            const list = [];
+            for (const c of centroids) {
+                await job.checkpoint();
+                const recipe = findRecipe(c, tubes);
+                list.push({
+                    text: formatRecipe(recipe),
+                    components: recipe.components,
+                    error: recipe.error // Predicted ΔE76 of the mix
+                });
+            }
+            return list;
+        });
+        paletteInfo = paletteInfo.map((info, i) => ({ ...info, recipe: recipes[i] }));
+    }
+
+    // 3. Map all pixels to final centroids. In superpixel mode, merged
+    // segments are found first and each takes the color nearest its mean.
+    let labels;
+    let labelsKey = paletteKey;
+    if (segmentation === 'superpixel') {
+        const segmentKey = stageKey([preKey, superpixels]);
+        const segmented = await cache.get('segments', segmentKey, () => {
+            job.stage('Finding Superpixels...', 50, 58);
+            return segmentImage(labPixels, width, height, superpixels, job);
+        });
+
+        labelsKey = stageKey([paletteKey, segmentKey]);
+        labels = await cache.get('assign', labelsKey, async () => {
+            job.stage('Applying Palette...', 58, 60);
+            const { segments, means, count } = segmented;
+            const segmentColors = new Int32Array(count);
+            for (let s = 0; s < count; s++) {
+                segmentColors[s] = nearestCentroid([means[s * 3], means[s * 3 + 1], means[s * 3 + 2]], centroids, distance);
+            }
+            await job.checkpoint();
+            return segments.map(s => segmentColors[s]);
+        });
+    } else {
+        labels = await cache.get('assign', paletteKey, async () => {
+            job.stage('Applying Palette...', 50, 60);
+            const assigned = new Int32Array(pixelCount);
+
+            for (let i = 0; i < pixelCount; i++) {
+                if ((i & CHECK_EVERY) === 0) await job.checkpoint(i / pixelCount);
+                const px = [labPixels[i * 3], labPixels[i * 3 + 1], labPixels[i * 3 + 2]];
+                assigned[i] = nearestCentroid(px, centroids, distance);
+            }
+
+            return assigned;
+        });
+    }
+
+    const template = await buildTemplate(labels, width, height, {
+        minRegionSize,
+        minFontSize,
+        maxFontSize,
+        detailMask: mask,
+        outlineStyle
+    }, job, {
+        cache,
+        key: labelsKey
+    });
+
+    return {
+        palette: centroids, // LAB colors
+        paletteInfo, // { name, code, hex, recipe } per entry; name/code in fixed mode, recipe in k-means mode
+        seed,
+        locked, // Custom palettes only: which entries the user locked
+        paletteSpread: paletteSpread(centroids, colorDistance), // Closest pair of colors and their ΔE
+        ...template,
+        labels: toColorIndices(template.labels, centroids.length),
+        metrics: templateMetrics(template) // Region count, areas, outline length, difficulty, ...
+    };
+}
+
+/**
+ * Run the pipeline with a difficulty preset (see DIFFICULTY_PRESETS) and,
+ * while the region count misses the preset's target, again with adjusted
+ * speck and palette sizes. Later runs keep the first run's seed, and the
+ * stages they share come from `cache`.
+ *
+ * Returns the result closest to the target, with `preset`:
+ * { key, settings, runs, inRange }; `settings` are the ones that made it.
+ */
+export async function processPreset({
+    imageData,
+    settings,
+    detailMask = null
+}, presetKey, { job = IDLE_JOB, cache = NO_CACHE } = {}) {
+    const preset = DIFFICULTY_PRESETS[presetKey];
+    if (!preset) throw new Error(`Unknown difficulty preset: ${presetKey}`);
+    const [min, max] = preset.targetRegions;
+    // Helper: How far a region count is off the target, as a factor
+    const miss = (regions) => Math.abs(Math.log(Math.max(1, regions) / Math.min(max, Math.max(min, regions))));
+
+    let current = applyPreset(settings, preset);
+    let best = null;
+    let runs = 0;
+    while (current) {
+        runs++;
+        const result = await processImage({ imageData, settings: current, detailMask }, { job, cache });
+        if (!best || miss(result.metrics.regions) < miss(best.result.metrics.regions)) {
+            // The seed this run used, so the settings reproduce it even
+            // when the caller left the seed open
+            best = { result, settings: { ...current, seed: result.seed } };
+        }
+
+        const next = runs < MAX_PRESET_RUNS ? adjustForTarget(current, preset, result.metrics) : null;
+        current = next && { ...next, seed: result.seed };
+    }
+
+    return {
+        ...best.result,
+        preset: { key: presetKey, settings: best.settings, runs, inRange: miss(best.result.metrics.regions) === 0 }
+    };
+}
+
+/**
+ * Suggest a palette size ("Auto" colors): cluster a reduced sample at every
+ * size in COLOR_COUNT_CANDIDATES (up to `settings.maxColors`) and score each
+ * by quantization error, closest palette pair and predicted region count
+ * (see autoColors.js). LAB conversion, pre-processing and saliency share
+ * processImage's cache entries.
+ *
+ * Returns { candidates: [{ k, error, minDeltaE, regions, score }], recommended }.
+ */
+export async function suggestColorCount({ imageData, settings, detailMask = null }, { job = IDLE_JOB, cache = NO_CACHE } = {}) {
+    const { width, height } = imageData;
+    const {
+        minRegionSize = 20,
+        maxIterations = 10,
+        detailSampling = false,
+        saliency = 0,
+        maxColors = COLOR_COUNT_CANDIDATES[COLOR_COUNT_CANDIDATES.length - 1]
+    } = settings;
+    const preprocess = { ...DEFAULT_PREPROCESS, ...settings.preprocess };
+    const colorDistance = { ...DEFAULT_COLOR_DISTANCE, ...settings.colorDistance };
+    const distance = createDistance(colorDistance);
+    const sampleMask = detailSampling && !isEmptyDetailMask(detailMask) ? detailMask : null;
+    const seed = Number.isInteger(settings.seed) ? settings.seed >>> 0 : SWEEP_SEED;
+
+    const { labPixels, weights } = await prepareLab(imageData, { preprocess, saliency }, job, cache);
+    const samples = thinSamples(samplePixels(labPixels, width, height, sampleMask, weights), SWEEP_SAMPLES);
+    // Regions are predicted by running speck cleanup on a coarse grid
+    const grid = predictionGrid(labPixels, width, height);
+    const gridMinSize = Math.max(1, Math.round(minRegionSize / (grid.scale * grid.scale)));
+
+    const sizes = COLOR_COUNT_CANDIDATES.filter(k => k <= maxColors);
+    if (sizes.length === 0) throw new Error(`maxColors must be at least ${COLOR_COUNT_CANDIDATES[0]}, got ${maxColors}`);
+
+    const measured = [];
+    for (const [i, k] of sizes.entries()) {
+        job.stage(`Trying ${k} colors...`, 25 + 75 * i / sizes.length, 25 + 75 * (i + 1) / sizes.length);
+        const centroids = await kMeans(samples, k, createRng(seed), Math.min(maxIterations, SWEEP_ITERATIONS), job, [], distance);
+        const cleaned = await cleanupRegions(assignGrid(grid, centroids, distance), grid.width, grid.height, gridMinSize, job);
+        measured.push({
+            k,
+            error: quantizationError(samples, centroids, distance),
+            minDeltaE: paletteSpread(centroids, colorDistance).minDeltaE,
+            regions: labelRegions(cleaned, grid.width, grid.height).regionAreas.length
+        });
+    }
+
+    return scoreColorCounts(measured, {
+        baseError: quantizationError(samples, [meanColor(samples)], distance),
+        regionCapacity: grid.width * grid.height / gridMinSize
+    });
+}
+
+// Helper: LAB pixels after pre-processing, their cache key and the saliency
+// sampling weights (null without saliency). Stages 0-25% of the job.
+async function prepareLab(imageData, { preprocess, saliency }, job, cache) {
+    const { width, height, data } = imageData; // data is Uint8ClampedArray (RGBA)
+    const pixelCount = width * height;
+    const imageKey = hashImage(imageData);
+
+    // 1. Convert all pixels to LAB
+    const rawLab = await cache.get('lab', imageKey, async () => {
+        job.stage('Converting to LAB...', 0, 10);
+        const lab = new Float32Array(pixelCount * 3);
+
+        for (let i = 0; i < pixelCount; i++) {
+            if ((i & CHECK_EVERY) === 0) await job.checkpoint(i / pixelCount);
+            const r = data[i * 4];
+            const g = data[i * 4 + 1];
+            const b = data[i * 4 + 2];
+            const [L, a, bb] = rgb2lab(r, g, b);
+            lab[i * 3] = L;
+            lab[i * 3 + 1] = a;
+            lab[i * 3 + 2] = bb;
+        }
+
+        return lab;
+    });
+
+    // 1b. Optional pre-processing (color adjustments, smoothing, posterize)
+    const preKey = stageKey([imageKey, preprocess]);
+    const labPixels = isIdentityPreprocess(preprocess) ? rawLab : await cache.get('preprocess', preKey, () => {
+        job.stage('Pre-processing...', 10, 20);
+        return preprocessLab(rawLab, width, height, preprocess, { job });
+    });
+
+    // Salient colors get sampled more often, so they win palette entries
+    const weights = saliency > 0 ? await cache.get('saliency', stageKey([preKey, saliency]), async () => {
+        job.stage('Finding Salient Colors...', 20, 25);
+        return saliencyWeights(await saliencyMap(labPixels, width, height, job), saliency);
+    }) : null;
+
+    return { labPixels, preKey, weights };
+}
+
+// The palette for APPLY_PALETTE. Locked entries stay where they are; with
+// `recluster`, the others are replaced by k-means centroids (or the best
+// paints in fixed mode) fitted around the locked ones.
+async function editedPalette({
+    colors,
+    info = [],
+    locked = [],
+    recluster = false
+}, samples, { paletteMode, paints, maxIterations, seed, distance }, job) {
+    const infoFor = (lab, i) => ({
+        name: info[i]?.name ?? null,
+        code: info[i]?.code ?? null,
+        hex: lab2hex(lab[0], lab[1], lab[2])
+    });
+
+    if (!recluster) {
+        return {
+            centroids: colors.map(c => c.slice()),
+            paletteInfo: colors.map(infoFor),
+            locked: colors.map((_, i) => !!locked[i])
+        };
+    }
+
+    const keep = colors.filter((_, i) => locked[i]);
+    let fresh;
+    if (paletteMode === 'fixed') {
+        const paintSet = resolvePaints(paints).filter(p => !keep.some(lab => distSq(lab, p.lab) < 1e-6));
+        const free = Math.min(colors.length - keep.length, paintSet.length);
+        fresh = await selectBestPaints(samples, paintSet, free, job, keep, distance);
+    } else {
+        const all = await kMeans(samples, colors.length, createRng(seed), maxIterations, job, keep, distance);
+        fresh = all.slice(keep.length).map(lab => ({ name: null, code: null, lab }));
+    }
+
+    // Fill the unlocked slots in order; fixed mode may run out of paints
+    const centroids = [];
+    const paletteInfo = [];
+    const lockedOut = [];
+    let next = 0;
+    colors.forEach((c, i) => {
+        if (locked[i]) {
+            centroids.push(c.slice());
+            paletteInfo.push(infoFor(c, i));
+            lockedOut.push(true);
+        } else if (next < fresh.length) {
+            const paint = fresh[next++];
+            centroids.push(paint.lab);
+            paletteInfo.push({ name: paint.name, code: paint.code, hex: lab2hex(paint.lab[0], paint.lab[1], paint.lab[2]) });
+            lockedOut.push(false);
+        }
+    });
+
+    return { centroids, paletteInfo, locked: lockedOut };
+}
+
+/**
+ * Final render: the preview's palette applied to the full-size image.
+ * No clustering, so colors and numbers match the preview exactly. Palette
+ * assignment runs a band of rows at a time, so there is no full-size LAB
+ * copy; speck cleanup, tracing and number placement still work on the whole
+ * image (several full-size label arrays plus the traced outlines), which is
+ * why callers cap the render size. Sizes measured in pixels (speck size,
+ * font sizes) are scaled up to keep the preview's look.
+ */
+export async function renderFinal({
+    imageData,
+    settings,
+    palette,
+    paletteInfo,
+    seed,
+    preview,
+    detailMask = null
+}, { job = IDLE_JOB } = {}) {
+    const { width, height } = imageData;
+    const { minRegionSize = 20, minFontSize = 8, maxFontSize = 20 } = settings;
+    const scale = width / preview.width;
+    const outlineStyle = { ...DEFAULT_OUTLINE_STYLE, ...settings.outlines };
+    const colorDistance = { ...DEFAULT_COLOR_DISTANCE, ...settings.colorDistance };
+
+    job.stage('Applying Palette (full size)...', 0, 60);
+
+    const preprocess = { ...DEFAULT_PREPROCESS, ...settings.preprocess };
+    // Superpixel shapes come from the preview; full size only refines their edges
+    const guide = settings.segmentation === 'superpixel' ? preview : null;
+    const labels = await assignPaletteInTiles(imageData, palette, job, preprocess, scale, guide, createDistance(colorDistance));
+
+    // Manual edits on the preview win over the fresh assignment
+    if (preview.edited) applyPreviewEdits(labels, width, height, preview);
+
+    const template = await buildTemplate(labels, width, height, {
+        minRegionSize: Math.round(minRegionSize * scale * scale),
+        minFontSize: minFontSize * scale,
+        maxFontSize: maxFontSize * scale,
+        detailMask: isEmptyDetailMask(detailMask) ? null : detailMask,
+        outlineStyle: { ...outlineStyle, tolerance: outlineStyle.tolerance * scale }
+    }, job);
+
+    // Tie each final region back to the preview region under its number
+    const { regionIds: previewRegionIds } = labelRegions(preview.labels, preview.width, preview.height);
+    for (const n of template.numbers) {
+        const at = n.leader || n;
+        const px = Math.min(preview.width - 1, Math.max(0, Math.floor(at.x / scale)));
+        const py = Math.min(preview.height - 1, Math.max(0, Math.floor(at.y / scale)));
+        n.previewRegionId = previewRegionIds[py * preview.width + px];
+    }
+
+    return {
+        palette,
+        paletteInfo,
+        seed,
+        scale, // Final pixels per preview pixel
+        paletteSpread: paletteSpread(palette, colorDistance),
+        ...template,
+        labels: toColorIndices(template.labels, palette.length),
+        metrics: templateMetrics(template)
+    };
+}
+
+// Stages shared by the preview and the final render: speck removal,
+// tracing, region validation and number placement. `key` identifies the
+// labels passed in, for the cache.
+async function buildTemplate(labels, width, height, {
+    minRegionSize,
+    minFontSize,
+    maxFontSize,
+    detailMask = null,
+    outlineStyle = DEFAULT_OUTLINE_STYLE
+}, job, { cache = NO_CACHE, key = '' } = {}) {
+    // 4. Cleanup: Remove small regions (Speckle Removal)
+    // We need to run Connected Components first to find regions
+    // Then merge small ones, then re-run to get final regions
+    const cleanupKey = stageKey([key, minRegionSize, detailMask ? hashImage(detailMask) : null]);
+    const cleaned = await cache.get('cleanup', cleanupKey, () => {
+        job.stage('Removing Noise...', 60, 80);
+        return cleanupRegions(labels, width, height, minRegionSize, job, detailMask);
+    });
+
+    const templateKey = stageKey([cleanupKey, minFontSize, maxFontSize]);
+    const template = await cache.get('template', templateKey, () => (
+        traceTemplate(cleaned, width, height, { minFontSize, maxFontSize }, job)
+    ));
+
+    // 7. Simplify and smooth the outlines that get drawn
+    return cache.get('outlines', stageKey([templateKey, outlineStyle]), async () => {
+        job.status('Simplifying Outlines...');
+        await job.checkpoint();
+        return { ...template, ...buildOutlines(template.topology, width, height, outlineStyle) };
+    });
+}
+
+async function traceTemplate(cleanLabels, width, height, { minFontSize, maxFontSize }, job) {
+    job.stage('Tracing Shapes...', 80, 100);
+
+    // 5. Final Region Extraction & Contours, and 6. Number Placement.
+    // Regions too small or thin for their number are merged into a
+    // neighbour and everything is re-traced, so no painted cell is blank.
+    const fontSizes = { minFontSize, maxFontSize };
+    const validated = await validateRegions(cleanLabels, width, height, fontSizes, job);
+    const { regions, topology, report } = validated;
+
+    // Keep numbers off each other and off the outlines; leader lines for the rest
+    job.status('Placing Numbers...');
+    await job.checkpoint();
+    const { numbers: labelPositions, margin } = resolveLabelCollisions(validated.labelPositions, regions, {
+        width,
+        height,
+        minFontSize
+    });
+
+    return {
+        labels: validated.labels,
+        regionIds: topology.regionIds, // Region per pixel; IDs index `regions`
+        regions: buildRegionTable(topology, labelPositions), // { id, color, area, bbox, neighbors, label }
+        width,
+        height,
+        topology: { type: topology.type, arcs: topology.arcs, arcRegions: topology.arcRegions, objects: topology.objects },
+        numbers: labelPositions, // { x, y, label, regionId, radius, fontSize, leader? }
+        margin, // Padding around the image that leader-line numbers sit in
+        fontSizes, // Number size range, reused when regions are edited
+        // `unlabeled`: numbers with no room in their region (cramped or
+        // crowded out), drawn in the margin on a leader line
+        validation: { ...report, unlabeled: labelPositions.filter(n => n.leader).length }
+    };
+}
+
+// --- Helper Functions ---
+
+// Helper: Fresh 32-bit seed for runs where the user hasn't locked one
+function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Helper: Seedable PRNG (mulberry32), returns floats in [0, 1)
+function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Helper: Index of the closest centroid to a LAB pixel
+function nearestCentroid(px, centroids, distance = distSq) {
+    let minDist = Infinity;
+    let clusterIdx = 0;
+
+    for (let k = 0; k < centroids.length; k++) {
+        const d = distance(px, centroids[k]);
+        if (d < minDist) {
+            minDist = d;
+            clusterIdx = k;
+        }
+    }
+
+    return clusterIdx;
+}
+
+// Nearest-palette assignment straight from RGBA, FINAL_TILE_ROWS rows at a
+// time. Only one band of LAB values exists at once. Pre-processing runs per
+// band too; smoothing reads `halo` extra rows above and below so band seams
+// don't show. With a `guide` (preview labels), each pixel may only take a
+// color found around its spot in the preview, so shapes follow the preview.
+async function assignPaletteInTiles(imageData, palette, job, preprocess = DEFAULT_PREPROCESS, scale = 1, guide = null, distance = distSq) {
+    const { width, height, data } = imageData;
+    const labels = new Int32Array(width * height);
+    const identity = isIdentityPreprocess(preprocess);
+    const halo = preprocess.smoothing > 0 ? Math.max(1, Math.round(preprocess.smoothing * scale)) : 0;
+    const bandLab = new Float32Array(width * (FINAL_TILE_ROWS + halo * 2) * 3);
+
+    for (let y0 = 0; y0 < height; y0 += FINAL_TILE_ROWS) {
+        const y1 = Math.min(height, y0 + FINAL_TILE_ROWS);
+        const h0 = Math.max(0, y0 - halo);
+        const h1 = Math.min(height, y1 + halo);
+        const start = y0 * width;
+        const count = (y1 - y0) * width;
+        const bandStart = h0 * width;
+        const bandCount = (h1 - h0) * width;
+
+        for (let i = 0; i < bandCount; i++) {
+            const o = (bandStart + i) * 4;
+            const [L, a, bb] = rgb2lab(data[o], data[o + 1], data[o + 2]);
+            bandLab[i * 3] = L;
+            bandLab[i * 3 + 1] = a;
+            bandLab[i * 3 + 2] = bb;
+        }
+
+        const lab = identity
+            ? bandLab
+            : await preprocessLab(bandLab.subarray(0, bandCount * 3), width, h1 - h0, preprocess, {
+                scale,
+                job: { checkpoint: () => job.checkpoint() } // Stay cancellable; band progress is reported below
+            });
+        const offset = start - bandStart;
+
+        for (let i = 0; i < count; i++) {
+            const k = (offset + i) * 3;
+            const px = [lab[k], lab[k + 1], lab[k + 2]];
+            labels[start + i] = guide
+                ? nearestGuided(px, palette, guide, (start + i) % width, y0 + Math.floor(i / width), scale, distance)
+                : nearestCentroid(px, palette, distance);
+        }
+
+        await job.checkpoint(y1 / height);
+    }
+
+    return labels;
+}
+
+// Helper: Closest palette color among the preview labels in the 3x3 block
+// around (x, y); inside a preview region that's simply its color
+function nearestGuided(px, palette, { labels, width, height }, x, y, scale, distance = distSq) {
+    const gx = Math.min(width - 1, Math.floor(x / scale));
+    const gy = Math.min(height - 1, Math.floor(y / scale));
+    const own = labels[gy * width + gx];
+    let best = own;
+    let bestDist = Infinity;
+    let uniform = true;
+
+    for (let ny = Math.max(0, gy - 1); ny <= Math.min(height - 1, gy + 1); ny++) {
+        for (let nx = Math.max(0, gx - 1); nx <= Math.min(width - 1, gx + 1); nx++) {
+            const c = labels[ny * width + nx];
+            if (c === own) continue;
+            uniform = false;
+            const d = distance(px, palette[c]);
+            if (d < bestDist) {
+                bestDist = d;
+                best = c;
+            }
+        }
+    }
+
+    if (!uniform && distance(px, palette[own]) <= bestDist) best = own;
+    return best;
+}
+
+// Copy edited preview pixels onto the full-size labels, nearest-neighbour
+function applyPreviewEdits(labels, width, height, { labels: previewLabels, edited, width: pw, height: ph }) {
+    for (let y = 0; y < height; y++) {
+        const py = Math.min(ph - 1, Math.floor(y * ph / height));
+        for (let x = 0; x < width; x++) {
+            const p = py * pw + Math.min(pw - 1, Math.floor(x * pw / width));
+            if (edited[p]) labels[y * width + x] = previewLabels[p];
+        }
+    }
+}
+
+// Pick an evenly strided subset of LAB pixels to train k-means on. With a
+// detail mask or saliency weights (one per pixel, see saliency.js), the
+// stride is measured in sample weight instead of pixels, so "more detail"
+// areas and salient colors contribute more samples and the rest fewer.
+function samplePixels(labPixels, width, height, detailMask = null, weights = null) {
+    const SAMPLE_SIZE = 50000;
+    const pixelCount = width * height;
+    const stride = Math.max(1, Math.floor(pixelCount / SAMPLE_SIZE));
+
+    if (detailMask || weights) {
+        const picked = [];
+        let weight = 0;
+        for (let i = 0; i < pixelCount; i++) {
+            const x = i % width;
+            const detail = detailMask ? sampleWeight(detailAt(detailMask, x, (i - x) / width, width, height)) : 1;
+            weight += weights ? detail * weights[i] : detail;
+            while (weight >= stride) {
+                weight -= stride;
+                picked.push(labPixels[i * 3], labPixels[i * 3 + 1], labPixels[i * 3 + 2]);
+            }
+        }
+        return new Float32Array(picked);
+    }
+
+    const count = Math.ceil(pixelCount / stride);
+    const samples = new Float32Array(count * 3);
+
+    for (let s = 0, i = 0; s < count; s++, i += stride) {
+        samples[s * 3] = labPixels[i * 3];
+        samples[s * 3 + 1] = labPixels[i * 3 + 1];
+        samples[s * 3 + 2] = labPixels[i * 3 + 2];
+    }
+
+    return samples;
+}
+
+// Every n-th sample so that at most `max` remain
+function thinSamples(samples, max) {
+    const count = samples.length / 3;
+    if (count <= max) return samples;
+    const stride = count / max;
+    const thinned = new Float32Array(max * 3);
+    for (let s = 0; s < max; s++) {
+        const i = Math.floor(s * stride);
+        thinned[s * 3] = samples[i * 3];
+        thinned[s * 3 + 1] = samples[i * 3 + 1];
+        thinned[s * 3 + 2] = samples[i * 3 + 2];
+    }
+    return thinned;
+}
+
+// k-means++ seeding: each new centroid is drawn with probability
+// proportional to its squared distance from the nearest existing one.
+// `initial` centroids (locked palette entries) count as already chosen.
+function initCentroidsPlusPlus(samples, k, rng, initial = [], distance = distSq) {
+    const count = samples.length / 3;
+    const centroids = initial.map(c => c.slice());
+    const minDists = new Float64Array(count).fill(Infinity);
+
+    let idx;
+    if (centroids.length === 0) {
+        idx = Math.floor(rng() * count);
+        centroids.push([samples[idx * 3], samples[idx * 3 + 1], samples[idx * 3 + 2]]);
+    }
+
+    let folded = 0; // Centroids already accounted for in minDists
+    while (centroids.length < k) {
+        let total = 0;
+
+        for (let i = 0; i < count; i++) {
+            const px = [samples[i * 3], samples[i * 3 + 1], samples[i * 3 + 2]];
+            for (let c = folded; c < centroids.length; c++) {
+                const d = distance(px, centroids[c]);
+                if (d < minDists[i]) minDists[i] = d;
+            }
+            total += minDists[i];
+        }
+        folded = centroids.length;
+
+        // Fewer distinct colors than k: every sample is already a centroid
+        if (total === 0) {
+            idx = Math.floor(rng() * count);
+        } else {
+            let target = rng() * total;
+            idx = count - 1;
+            for (let i = 0; i < count; i++) {
+                target -= minDists[i];
+                if (target <= 0) {
+                    idx = i;
+                    break;
+                }
+            }
+        }
+
+        centroids.push([samples[idx * 3], samples[idx * 3 + 1], samples[idx * 3 + 2]]);
+    }
+
+    return centroids;
+}
+
+// Normalize user paints ({ name, code, hex } or { name, code, lab }) to LAB
+function resolvePaints(paints) {
+    if (!Array.isArray(paints) || paints.length === 0) {
+        throw new Error('Fixed palette mode needs at least one paint');
+    }
+
+    return paints.map((paint, i) => {
+        const lab = paint.lab ? paint.lab.map(Number) : hex2lab(paint.hex);
+        if (!lab || !lab.every(Number.isFinite)) {
+            throw new Error(`Paint ${i + 1} (${paint.name || 'unnamed'}) has no valid hex or LAB color`);
+        }
+        return {
+            name: paint.name || `Paint ${i + 1}`,
+            code: paint.code || '',
+            hex: paint.hex || lab2hex(lab[0], lab[1], lab[2]),
+            lab
+        };
+    });
+}
+
+// Greedy forward selection: repeatedly add the paint that most reduces the
+// total squared error of the samples. Keeps the kit order in the result.
+// Colors in `initial` (locked entries) are treated as already in the palette.
+async function selectBestPaints(samples, paintSet, n, job, initial = [], distance = distSq) {
+    if (n >= paintSet.length) return paintSet;
+
+    const count = samples.length / 3;
+    const bestDists = new Float64Array(count).fill(Infinity);
+    const chosen = new Set();
+
+    for (const lab of initial) {
+        for (let i = 0; i < count; i++) {
+            const px = [samples[i * 3], samples[i * 3 + 1], samples[i * 3 + 2]];
+            bestDists[i] = Math.min(bestDists[i], distance(px, lab));
+        }
+    }
+
+    while (chosen.size < n) {
+        await job.checkpoint(chosen.size / n);
+        let bestPaint = -1;
+        let bestTotal = Infinity;
+
+        for (let p = 0; p < paintSet.length; p++) {
+            if (chosen.has(p)) continue;
+            const lab = paintSet[p].lab;
+            let total = 0;
+
+            for (let i = 0; i < count && total < bestTotal; i++) {
+                const px = [samples[i * 3], samples[i * 3 + 1], samples[i * 3 + 2]];
+                total += Math.min(bestDists[i], distance(px, lab));
+            }
+
+            if (total < bestTotal) {
+                bestTotal = total;
+                bestPaint = p;
+            }
+        }
+
+        chosen.add(bestPaint);
+        const lab = paintSet[bestPaint].lab;
+        for (let i = 0; i < count; i++) {
+            const px = [samples[i * 3], samples[i * 3 + 1], samples[i * 3 + 2]];
+            bestDists[i] = Math.min(bestDists[i], distance(px, lab));
+        }
+    }
+
+    return paintSet.filter((_, p) => chosen.has(p));
+}
+
+// Lloyd iterations over the sample set. The first `fixed.length` centroids
+// are pinned to `fixed` (locked palette entries) and never move. Samples go
+// to the nearest centroid by `distance`; centroids move to their mean.
+async function kMeans(samples, k, rng, maxIterations, job, fixed = [], distance = distSq) {
+    const count = samples.length / 3;
+    const centroids = initCentroidsPlusPlus(samples, k, rng, fixed, distance);
+
+    for (let iter = 0; iter < maxIterations; iter++) {
+        await job.checkpoint(iter / maxIterations);
+        const sums = new Float64Array(k * 3);
+        const counts = new Int32Array(k);
+
+        // Assign samples to nearest centroid
+        for (let i = 0; i < count; i++) {
+            if ((i & CHECK_EVERY) === 0) await job.checkpoint((iter + i / count) / maxIterations);
+            const px = [samples[i * 3], samples[i * 3 + 1], samples[i * 3 + 2]];
+
+            let minDist = Infinity;
+            let clusterIdx = 0;
+
+            for (let c = 0; c < k; c++) {
+                const d = distance(px, centroids[c]);
+                if (d < minDist) {
+                    minDist = d;
+                    clusterIdx = c;
+                }
+            }
+
+            sums[clusterIdx * 3] += px[0];
+            sums[clusterIdx * 3 + 1] += px[1];
+            sums[clusterIdx * 3 + 2] += px[2];
+            counts[clusterIdx]++;
+        }
+
+        // Update centroids
+        let change = 0;
+        for (let c = fixed.length; c < k; c++) {
+            if (counts[c] > 0) {
+                const newC = [
+                    sums[c * 3] / counts[c],
+                    sums[c * 3 + 1] / counts[c],
+                    sums[c * 3 + 2] / counts[c]
+                ];
+                change += distSq(centroids[c], newC);
+                centroids[c] = newC;
+            }
+        }
+
+        if (change < 0.01) break; // Converged
+    }
+
+    return centroids;
+}
+
+// Simple Union-Find based Connected Component Labeling & Cleanup
+// With a detail mask, a component's size limit is minSize times the average
+// factor of its pixels (see detailMask.js).
+async function cleanupRegions(labels, width, height, minSize, job, detailMask = null) {
+    const n = width * height;
+    // We will do a simple iterative pass:
+    // If a pixel has no neighbors of same color, it's noise.
+    // But for "regions", we need true Component Labeling.
+
+    // For performance in JS, we might just do a simpler "filter":
+    // For each pixel, if it's different from most neighbors, change it.
+
+    // Better approach:
+    // 1. Identify all connected components (BFS/DFS)
+    // 2. If component.size < minSize, reassign all pixels to majority neighbor
+
+    const visited = new Uint8Array(n);
+    const resultLabels = new Int32Array(labels);
+
+    // Stack for DFS
+    const stack = new Int32Array(n);
+
+    // Direction offsets (4-connectivity)
+    const dx = [1, -1, 0, 0];
+    const dy = [0, 0, 1, -1];
+
+    for (let i = 0; i < n; i++) {
+        if ((i & CHECK_EVERY) === 0) await job.checkpoint(i / n);
+        if (visited[i]) continue;
+
+        let color = resultLabels[i];
+        let count = 0;
+        let factorSum = 0;
+        let p = 0; // stack pointer
+        stack[p++] = i;
+        visited[i] = 1;
+
+        const componentIndices = []; // Store indices to reassign if small
+
+        while (p > 0) {
+            const curr = stack[--p];
+            componentIndices.push(curr);
+            count++;
+
+            const cx = curr % width;
+            const cy = Math.floor(curr / width);
+            if (detailMask) factorSum += minSizeFactor(detailAt(detailMask, cx, cy, width, height));
+
+            for (let d = 0; d < 4; d++) {
+                const nx = cx + dx[d];
+                const ny = cy + dy[d];
+
+                if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+                    const nIdx = ny * width + nx;
+                    if (!visited[nIdx] && resultLabels[nIdx] === color) {
+                        visited[nIdx] = 1;
+                        stack[p++] = nIdx;
+                    }
+                }
+            }
+        }
+
+        // If small region, find neighbor color
+        const limit = detailMask ? minSize * factorSum / count : minSize;
+        if (count < limit) {
+            // Find most frequent neighbor color
+            const neighborColors = {};
+            let bestNeighbor = -1;
+            let maxN = -1;
+
+            for (let k = 0; k < componentIndices.length; k++) {
+                const idx = componentIndices[k];
+                const cx = idx % width;
+                const cy = Math.floor(idx / width);
+
+                for (let d = 0; d < 4; d++) {
+                    const nx = cx + dx[d];
+                    const ny = cy + dy[d];
+                    if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+                        const nIdx = ny * width + nx;
+                        if (resultLabels[nIdx] !== color) {
+                            const nc = resultLabels[nIdx];
+                            neighborColors[nc] = (neighborColors[nc] || 0) + 1;
+                            if (neighborColors[nc] > maxN) {
+                                maxN = neighborColors[nc];
+                                bestNeighbor = nc;
+                            }
+                        }
+                    }
+                }
+            }
+
+            // Reassign
+            if (bestNeighbor !== -1) {
+                for (let k = 0; k < componentIndices.length; k++) {
+                    resultLabels[componentIndices[k]] = bestNeighbor;
+                }
+            }
+        }
+    }
+
+    return resultLabels;
+}
+
+
+
+// 5. Final Region Extraction using the shared-boundary topology
+function extractRegionsAndOutlines(labels, width, height) {
+    // Tracing one mask per color drew every border twice (once from each
+    // side), slightly offset. Instead, trace each shared border once as an
+    // arc and let the regions on both sides refer to it.
+    const topology = buildTopology(labels, width, height);
+
+    // One outline per arc, so every line is stroked exactly once
+    const allOutlines = topology.arcs.map((coords, i) => ({
+        path: linePath(coords),
+        regions: topology.arcRegions[i] // [right, left], -1 = image border
+    }));
+
+    const allRegions = []; // We'll store geojson features here
+
+    for (const geometry of topology.objects.regions.geometries) {
+        const coordinates = geometry.arcs.map(ring => ringCoords(topology.arcs, ring));
+
+        allRegions.push({
+            type: 'Feature',
+            geometry: {
+                type: 'Polygon',
+                coordinates
+            },
+            properties: geometry.properties
+        });
+    }
+
+    return { regions: allRegions, outlines: allOutlines, topology };
+}
+
+// Trace, place numbers, and merge regions whose number doesn't fit (even at
+// the minimum font size) into the neighbour they share the longest border
+// with. Repeats until every region can hold its number or
+// MAX_VALIDATION_PASSES is reached.
+async function validateRegions(labels, width, height, fontSizes, job) {
+    let merged = 0;
+    let passes = 0;
+
+    for (;;) {
+        await job.checkpoint(passes / (MAX_VALIDATION_PASSES + 1));
+        const { regions, outlines, topology } = extractRegionsAndOutlines(labels, width, height);
+        const labelPositions = calculateLabelPositions(regions, fontSizes);
+        const unfit = labelPositions.filter(p => p.cramped).map(p => p.regionId);
+
+        if (unfit.length === 0 || passes >= MAX_VALIDATION_PASSES) {
+            const report = {
+                merged,
+                passes,
+                cramped: unfit.length // Still too small after the last pass; these get leader lines
+            };
+            return { labels, regions, outlines, topology, labelPositions, report };
+        }
+
+        const result = mergeRegions(labels, topology, unfit);
+        if (result.merged === 0) {
+            // Nothing left to merge into (e.g. a single region image)
+            passes = MAX_VALIDATION_PASSES;
+            continue;
+        }
+
+        labels = result.labels;
+        merged += result.merged;
+        passes++;
+    }
+}
+
+// Recolor each listed region with the color of its longest-border neighbour.
+// Smallest regions go first; if that neighbour is itself merged this pass,
+// follow it to where it ended up.
+function mergeRegions(labels, topology, regionIds) {
+    const geometries = topology.objects.regions.geometries;
+    const regionCount = geometries.length;
+    const adjacency = regionAdjacency(topology, regionCount);
+    const target = new Int32Array(regionCount).map((_, i) => i);
+    const find = (r) => {
+        while (target[r] !== r) r = target[r];
+        return r;
+    };
+
+    const ordered = [...regionIds].sort((a, b) => geometries[a].properties.area - geometries[b].properties.area);
+    let merged = 0;
+
+    for (const r of ordered) {
+        let best = -1;
+        let bestLength = -1;
+        adjacency[r].forEach((length, neighbor) => {
+            if (find(neighbor) !== r && length > bestLength) {
+                bestLength = length;
+                best = neighbor;
+            }
+        });
+        if (best === -1) continue;
+
+        target[r] = find(best);
+        merged++;
+    }
+
+    const regionOf = topology.regionIds;
+    const newLabels = new Int32Array(labels.length);
+    for (let i = 0; i < labels.length; i++) {
+        newLabels[i] = geometries[find(regionOf[i])].properties.colorIndex;
+    }
+
+    return { labels: newLabels, merged };
+}
@@ -0,0 +1,76 @@
+// Per-pixel storage and the region table that come with every result.
+//
+// `labels` holds a palette index per pixel in the smallest array type that
+// fits the palette, so large paint catalogs can't wrap around. `regionIds`
+// (Int32Array) holds the region per pixel, and `regions` describes each
+// region so later features can refer to single regions by ID.
+import { regionAdjacency } from './topology.js';
+
+// Most palette entries a template may use (the limit of a Uint16Array)
+export const MAX_COLORS = 0x10000;
+
+/**
+ * Throw unless `count` is a usable number of palette colors. `what` names
+ * the setting in the message.
+ */
+export function validateColorCount(count, what = 'kColors') {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COLORS) {
+        throw new Error(`${what} must be a whole number from 1 to ${MAX_COLORS}, got ${count}`);
+    }
+}
+
+// Helper: Typed array constructor that holds indices into a palette of `size`
+export function colorIndexType(size) {
+    if (size <= 0x100) return Uint8Array;
+    if (size <= 0x10000) return Uint16Array;
+    return Uint32Array;
+}
+
+// Copy color indices into the smallest array type for a palette of `size`
+export function toColorIndices(labels, size) {
+    const Type = colorIndexType(size);
+    return labels instanceof Type ? labels : Type.from(labels);
+}
+
+/**
+ * One entry per region, indexed by region ID:
+ *   { id, color, area, bbox: { x0, y0, x1, y1 }, neighbors, label }
+ * `bbox` is in pixels, end-exclusive. `neighbors` lists region IDs, longest
+ * shared border first. `label` is the spot inside the region its number
+ * marks ({ x, y }, the leader anchor for numbers in the margin), or null.
+ */
+export function buildRegionTable(topology, numbers) {
+    const geometries = topology.objects.regions.geometries;
+    const adjacency = regionAdjacency(topology, geometries.length);
+
+    const regions = geometries.map(({ properties }, id) => ({
+        id,
+        color: properties.colorIndex,
+        area: properties.area,
+        bbox: { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity },
+        neighbors: [...adjacency[id]].sort((a, b) => b[1] - a[1]).map(([neighbor]) => neighbor),
+        label: null
+    }));
+
+    // Every region is bounded by arcs it lies on one side of, so the arc
+    // points span its box
+    topology.arcs.forEach((coords, i) => {
+        for (const r of topology.arcRegions[i]) {
+            if (r === -1) continue;
+            const { bbox } = regions[r];
+            for (const [x, y] of coords) {
+                if (x < bbox.x0) bbox.x0 = x;
+                if (y < bbox.y0) bbox.y0 = y;
+                if (x > bbox.x1) bbox.x1 = x;
+                if (y > bbox.y1) bbox.y1 = y;
+            }
+        }
+    });
+
+    for (const n of numbers) {
+        const region = regions[n.regionId];
+        if (region) region.label = n.leader ? { x: n.leader.x, y: n.leader.y } : { x: n.x, y: n.y };
+    }
+
+    return regions;
+}
@@ -0,0 +1,91 @@
+// Saliency for palette sampling: which pixels hold colors that matter more
+// than their area suggests.
+//
+// Global contrast (Cheng et al., "Global Contrast based Salient Region
+// Detection"): a color is salient when it differs from most of the image.
+// Small, distinctive details (eyes, a logo, a red scarf) score high; large
+// areas of one color (sky, walls) score low. Colors are binned first so the
+// comparison is per bin pair rather than per pixel pair.
+
+// Bins per LAB channel
+const BINS = 12;
+
+// Sampling weight of the most salient pixels relative to the least, at
+// full strength
+const MAX_BOOST = 20;
+
+// Helper: Bin of one LAB channel value in [min, max]
+function bin(value, min, max) {
+    return Math.max(0, Math.min(BINS - 1, Math.floor((value - min) / (max - min) * BINS)));
+}
+
+/**
+ * Saliency per pixel in [0, 1] (Float32Array) for LAB pixels (3 per pixel).
+ * `job`, when given, is checkpointed.
+ */
+export async function saliencyMap(lab, width, height, job = null) {
+    const n = width * height;
+    const binOf = new Uint16Array(n);
+    const counts = new Float64Array(BINS ** 3);
+    const sums = new Float64Array(BINS ** 3 * 3);
+
+    for (let i = 0; i < n; i++) {
+        const L = lab[i * 3];
+        const a = lab[i * 3 + 1];
+        const b = lab[i * 3 + 2];
+        const k = (bin(L, 0, 100) * BINS + bin(a, -100, 100)) * BINS + bin(b, -100, 100);
+        binOf[i] = k;
+        counts[k]++;
+        sums[k * 3] += L;
+        sums[k * 3 + 1] += a;
+        sums[k * 3 + 2] += b;
+    }
+
+    // Mean color of each used bin
+    const used = [];
+    for (let k = 0; k < counts.length; k++) {
+        if (counts[k] > 0) used.push(k);
+    }
+    const means = used.map(k => [sums[k * 3] / counts[k], sums[k * 3 + 1] / counts[k], sums[k * 3 + 2] / counts[k]]);
+
+    // Contrast of each bin against all pixels
+    const binSaliency = new Float64Array(counts.length);
+    let lo = Infinity;
+    let hi = -Infinity;
+    for (let u = 0; u < used.length; u++) {
+        if (job && (u & 63) === 0) await job.checkpoint();
+        const [L, a, b] = means[u];
+        let s = 0;
+        for (let v = 0; v < used.length; v++) {
+            const [L2, a2, b2] = means[v];
+            s += counts[used[v]] * Math.sqrt((L - L2) ** 2 + (a - a2) ** 2 + (b - b2) ** 2);
+        }
+        binSaliency[used[u]] = s;
+        lo = Math.min(lo, s);
+        hi = Math.max(hi, s);
+    }
+
+    const map = new Float32Array(n);
+    const range = hi - lo;
+    if (range > 0) {
+        for (let i = 0; i < n; i++) map[i] = (binSaliency[binOf[i]] - lo) / range;
+    }
+    return map;
+}
+
+/**
+ * Sampling weight per pixel from a saliency map and a strength in [0, 1],
+ * scaled so the weights average 1 (the sample count stays the same).
+ * Saliency is squared so only clearly standing-out colors gain much.
+ */
+export function saliencyWeights(map, strength) {
+    const weights = new Float32Array(map.length);
+    let total = 0;
+    for (let i = 0; i < map.length; i++) {
+        weights[i] = 1 + strength * (MAX_BOOST - 1) * map[i] * map[i];
+        total += weights[i];
+    }
+    const mean = total / map.length;
+    for (let i = 0; i < map.length; i++) weights[i] /= mean;
+    return weights;
+}
@@ -0,0 +1,162 @@
+// Outline simplification and smoothing after tracing.
+//
+// Traced arcs follow the pixel grid: staircases with a point at every corner.
+// Each arc is simplified on its own (Douglas-Peucker) with its end points
+// fixed, and optionally drawn as a Catmull-Rom curve through what is left.
+// Because neighbours share the arc rather than each having a copy, both sides
+// get the very same line and no gaps or overlaps can open between them.
+//
+// The topology itself keeps the pixel-exact arcs; edits and fills rely on
+// them. Only the outlines that get drawn and exported change.
+import { linePath } from './topology.js';
+
+export const DEFAULT_OUTLINE_STYLE = {
+    tolerance: 0, // Max distance in px a simplified line may stray (0 = off)
+    smooth: false // Draw cubic Béziers instead of straight segments
+};
+
+/**
+ * Outlines for drawing, one per arc: { path (SVG path data), regions,
+ * points, curves }. `curves` (smooth only) holds [c1, c2] control points per
+ * segment after the first point. Also reports the point count before and
+ * after as outlineStats.
+ */
+export function buildOutlines(topology, width, height, style = DEFAULT_OUTLINE_STYLE) {
+    const { tolerance, smooth } = { ...DEFAULT_OUTLINE_STYLE, ...style };
+    let before = 0;
+    let after = 0;
+
+    const outlines = topology.arcs.map((coords, i) => {
+        const points = tolerance > 0 ? simplifyArc(coords, tolerance, width, height) : coords;
+        const curves = smooth && points.length > 2 ? catmullRom(points) : null;
+        before += coords.length;
+        after += points.length;
+        return {
+            path: curves ? curvePath(points, curves) : linePath(points),
+            regions: topology.arcRegions[i], // [right, left], -1 = image border
+            points,
+            curves
+        };
+    });
+
+    return {
+        outlines,
+        outlineStyle: { tolerance, smooth }, // Reused when regions are edited
+        outlineStats: { before, after }
+    };
+}
+
+// Simplify one arc. Points on the image border are kept so outlines never
+// cut across the frame; a closed loop is split at its farthest point first
+// so it can't collapse to a line.
+function simplifyArc(coords, tolerance, width, height) {
+    const n = coords.length;
+    const onBorder = ([x, y]) => x === 0 || y === 0 || x === width || y === height;
+    const closed = n > 3 && coords[0][0] === coords[n - 1][0] && coords[0][1] === coords[n - 1][1];
+
+    const pinned = [0];
+    if (closed) {
+        let far = 0;
+        let farDist = -1;
+        for (let i = 1; i < n - 1; i++) {
+            const d = (coords[i][0] - coords[0][0]) ** 2 + (coords[i][1] - coords[0][1]) ** 2;
+            if (d > farDist) {
+                farDist = d;
+                far = i;
+            }
+        }
+        for (let i = 1; i < n - 1; i++) {
+            if (i === far || onBorder(coords[i])) pinned.push(i);
+        }
+    } else {
+        for (let i = 1; i < n - 1; i++) {
+            if (onBorder(coords[i])) pinned.push(i);
+        }
+    }
+    pinned.push(n - 1);
+
+    const keep = new Uint8Array(n);
+    for (const i of pinned) keep[i] = 1;
+    for (let k = 1; k < pinned.length; k++) {
+        douglasPeucker(coords, pinned[k - 1], pinned[k], tolerance * tolerance, keep);
+    }
+
+    return coords.filter((_, i) => keep[i]);
+}
+
+// Mark the points between `first` and `last` that stray more than the
+// tolerance from the chord (iterative, so long arcs can't blow the stack)
+function douglasPeucker(coords, first, last, toleranceSq, keep) {
+    const stack = [[first, last]];
+    while (stack.length) {
+        const [a, b] = stack.pop();
+        if (b - a < 2) continue;
+
+        let maxDist = -1;
+        let index = -1;
+        for (let i = a + 1; i < b; i++) {
+            const d = segmentDistSq(coords[i], coords[a], coords[b]);
+            if (d > maxDist) {
+                maxDist = d;
+                index = i;
+            }
+        }
+
+        if (maxDist > toleranceSq) {
+            keep[index] = 1;
+            stack.push([a, index], [index, b]);
+        }
+    }
+}
+
+// Helper: Squared distance from p to the segment a-b
+function segmentDistSq(p, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSq = dx * dx + dy * dy;
+    let t = lengthSq > 0 ? ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    const ex = a[0] + t * dx - p[0];
+    const ey = a[1] + t * dy - p[1];
+    return ex * ex + ey * ey;
+}
+
+// Catmull-Rom spline through the points as cubic Bézier control points.
+// Closed loops wrap around so the seam is smooth too; open arcs keep
+// their end points where they are, so arcs still meet at their nodes.
+function catmullRom(points) {
+    const n = points.length;
+    const closed = points[0][0] === points[n - 1][0] && points[0][1] === points[n - 1][1];
+    const at = (i) => {
+        if (closed) return points[((i % (n - 1)) + (n - 1)) % (n - 1)];
+        return points[Math.max(0, Math.min(n - 1, i))];
+    };
+
+    const curves = [];
+    for (let i = 0; i < n - 1; i++) {
+        const p0 = at(i - 1);
+        const p1 = points[i];
+        const p2 = points[i + 1];
+        const p3 = at(i + 2);
+        curves.push([
+            [p1[0] + (p2[0] - p0[0]) / 6, p1[1] + (p2[1] - p0[1]) / 6],
+            [p2[0] - (p3[0] - p1[0]) / 6, p2[1] - (p3[1] - p1[1]) / 6]
+        ]);
+    }
+    return curves;
+}
+
+// Helper: Rounded coordinate for path data
+function fmt(v) {
+    return Math.round(v * 100) / 100;
+}
+
+function curvePath(points, curves) {
+    let d = 'M' + points[0][0] + ',' + points[0][1];
+    for (let i = 0; i < curves.length; i++) {
+        const [c1, c2] = curves[i];
+        const p = points[i + 1];
+        d += 'C' + fmt(c1[0]) + ',' + fmt(c1[1]) + ' ' + fmt(c2[0]) + ',' + fmt(c2[1]) + ' ' + p[0] + ',' + p[1];
+    }
+    return d;
+}
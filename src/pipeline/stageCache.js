@@ -0,0 +1,59 @@
+// Per-stage memo for the preview pipeline.
+//
+// Each stage keeps only its latest output together with the key of the inputs
+// it was computed from. A stage's key includes the key of the stage before it,
+// so recomputing an early stage invalidates everything after it without any
+// explicit bookkeeping, and memory stays bounded to one result per stage.
+
+// Helper: Stable cache key for a list of stage inputs
+export function stageKey(inputs) {
+    return JSON.stringify(inputs);
+}
+
+// Helper: FNV-1a hash of the pixels, so the same image posted twice (a fresh
+// structured clone each time) maps to the same cache entries. Also used for
+// one-byte-per-pixel masks.
+export function hashImage({ width, height, data }) {
+    const words = new Uint32Array(data.buffer, data.byteOffset, data.byteLength >> 2);
+    let h = 0x811C9DC5;
+    for (let i = 0; i < words.length; i++) {
+        h ^= words[i];
+        h = Math.imul(h, 0x01000193);
+    }
+    // Bytes left over when the length isn't a multiple of four
+    const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    for (let i = words.length * 4; i < bytes.length; i++) {
+        h ^= bytes[i];
+        h = Math.imul(h, 0x01000193);
+    }
+    return `${width}x${height}:${(h >>> 0).toString(16)}`;
+}
+
+export class StageCache {
+    constructor() {
+        this.entries = new Map(); // stage name => { key, value }
+    }
+
+    // Latest entry for a stage regardless of key, or undefined
+    peek(stage) {
+        return this.entries.get(stage);
+    }
+
+    /**
+     * Return the cached output of `stage` if it was computed from `key`,
+     * otherwise run `compute()` and remember its result. A compute that throws
+     * (e.g. a cancelled job) leaves the previous entry in place.
+     */
+    async get(stage, key, compute) {
+        const entry = this.entries.get(stage);
+        if (entry && entry.key === key) return entry.value;
+
+        const value = await compute();
+        this.entries.set(stage, { key, value });
+        return value;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
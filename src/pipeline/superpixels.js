@@ -0,0 +1,310 @@
+// Region-aware segmentation: SLIC superpixels, merged by color similarity
+// and minimum area. Palette colors are assigned per merged segment instead of
+// per pixel, so a gradient crossing a color boundary can't fray the shape.
+
+export const DEFAULT_SUPERPIXELS = {
+    size: 12, // Superpixel spacing in preview pixels
+    compactness: 10, // Higher = squarer superpixels, lower = tighter to edges
+    mergeThreshold: 8, // ΔE76 below which neighbouring segments are joined
+    minArea: 20 // Smaller segments are folded into a neighbour
+};
+
+const SLIC_ITERATIONS = 8;
+
+// 4-connected neighbour offsets
+const DX = [1, -1, 0, 0];
+const DY = [0, 0, 1, -1];
+
+/**
+ * Segment LAB pixels (Float32Array, 3 per pixel) into merged superpixels.
+ * Segments whose mean colors are within `mergeThreshold` are joined, then
+ * any segment under `minArea` pixels goes to its most similar neighbour.
+ * Returns { segments: Int32Array (segment per pixel), means: Float32Array
+ * (LAB per segment), count }. `job` is checkpointed for progress.
+ */
+export async function segmentImage(lab, width, height, options, job) {
+    const { size, compactness, mergeThreshold, minArea } = { ...DEFAULT_SUPERPIXELS, ...options };
+    const spacing = Math.max(2, Math.round(size));
+
+    const raw = await slic(lab, width, height, spacing, compactness, job);
+    const connected = enforceConnectivity(raw, width, height, Math.max(1, Math.floor(spacing * spacing / 4)));
+    await job.checkpoint(0.8);
+
+    return mergeSegments(lab, connected.segments, connected.count, width, height, mergeThreshold, minArea);
+}
+
+// Simple Linear Iterative Clustering: k-means on (L, a, b, x, y) where each
+// center only looks at the 2S x 2S window around it.
+async function slic(lab, width, height, spacing, compactness, job) {
+    const n = width * height;
+    const centers = [];
+    for (let y = Math.floor(spacing / 2); y < height; y += spacing) {
+        for (let x = Math.floor(spacing / 2); x < width; x += spacing) {
+            const [cx, cy] = lowestGradient(lab, width, height, x, y);
+            const i = (cy * width + cx) * 3;
+            centers.push([lab[i], lab[i + 1], lab[i + 2], cx, cy]);
+        }
+    }
+
+    const segments = new Int32Array(n).fill(-1);
+    const distances = new Float32Array(n);
+    const spatialFactor = (compactness / spacing) ** 2;
+
+    for (let iter = 0; iter < SLIC_ITERATIONS; iter++) {
+        distances.fill(Infinity);
+
+        for (let k = 0; k < centers.length; k++) {
+            if ((k & 63) === 0) await job.checkpoint(0.8 * (iter + k / centers.length) / SLIC_ITERATIONS);
+            const [L, a, b, cx, cy] = centers[k];
+            const x0 = Math.max(0, Math.floor(cx - spacing));
+            const x1 = Math.min(width - 1, Math.ceil(cx + spacing));
+            const y0 = Math.max(0, Math.floor(cy - spacing));
+            const y1 = Math.min(height - 1, Math.ceil(cy + spacing));
+
+            for (let y = y0; y <= y1; y++) {
+                for (let x = x0; x <= x1; x++) {
+                    const p = y * width + x;
+                    const dL = lab[p * 3] - L;
+                    const da = lab[p * 3 + 1] - a;
+                    const db = lab[p * 3 + 2] - b;
+                    const dx = x - cx;
+                    const dy = y - cy;
+                    const d = dL * dL + da * da + db * db + (dx * dx + dy * dy) * spatialFactor;
+                    if (d < distances[p]) {
+                        distances[p] = d;
+                        segments[p] = k;
+                    }
+                }
+            }
+        }
+
+        // Move each center to the mean of its pixels
+        const sums = new Float64Array(centers.length * 6);
+        for (let p = 0; p < n; p++) {
+            const k = segments[p];
+            if (k < 0) continue;
+            const s = k * 6;
+            sums[s] += lab[p * 3];
+            sums[s + 1] += lab[p * 3 + 1];
+            sums[s + 2] += lab[p * 3 + 2];
+            sums[s + 3] += p % width;
+            sums[s + 4] += Math.floor(p / width);
+            sums[s + 5]++;
+        }
+        for (let k = 0; k < centers.length; k++) {
+            const s = k * 6;
+            const count = sums[s + 5];
+            if (count === 0) continue;
+            centers[k] = [sums[s] / count, sums[s + 1] / count, sums[s + 2] / count, sums[s + 3] / count, sums[s + 4] / count];
+        }
+    }
+
+    return segments;
+}
+
+// Helper: Nudge a seed to the flattest pixel of its 3x3 neighbourhood so
+// centers don't start on an edge
+function lowestGradient(lab, width, height, x, y) {
+    let best = [x, y];
+    let bestGradient = Infinity;
+
+    for (let ny = Math.max(1, y - 1); ny <= Math.min(height - 2, y + 1); ny++) {
+        for (let nx = Math.max(1, x - 1); nx <= Math.min(width - 2, x + 1); nx++) {
+            const l = (ny * width + nx - 1) * 3;
+            const r = (ny * width + nx + 1) * 3;
+            const u = ((ny - 1) * width + nx) * 3;
+            const d = ((ny + 1) * width + nx) * 3;
+            let g = 0;
+            for (let c = 0; c < 3; c++) {
+                g += (lab[r + c] - lab[l + c]) ** 2 + (lab[d + c] - lab[u + c]) ** 2;
+            }
+            if (g < bestGradient) {
+                bestGradient = g;
+                best = [nx, ny];
+            }
+        }
+    }
+
+    return best;
+}
+
+// SLIC labels can be disconnected. Relabel by connected component and fold
+// fragments under `minSize` into the component scanned just before them.
+function enforceConnectivity(raw, width, height, minSize) {
+    const n = width * height;
+    const segments = new Int32Array(n).fill(-1);
+    const stack = new Int32Array(n);
+    const component = [];
+    let count = 0;
+
+    for (let i = 0; i < n; i++) {
+        if (segments[i] !== -1) continue;
+
+        // Any already-labelled neighbour can adopt a fragment
+        let adjacent = -1;
+        const ix = i % width;
+        const iy = (i - ix) / width;
+        for (let d = 0; d < 4; d++) {
+            const nx = ix + DX[d];
+            const ny = iy + DY[d];
+            if (nx >= 0 && nx < width && ny >= 0 && ny < height && segments[ny * width + nx] !== -1) {
+                adjacent = segments[ny * width + nx];
+            }
+        }
+
+        const label = raw[i];
+        component.length = 0;
+        let p = 0;
+        stack[p++] = i;
+        segments[i] = count;
+        while (p > 0) {
+            const curr = stack[--p];
+            component.push(curr);
+            const cx = curr % width;
+            const cy = (curr - cx) / width;
+            for (let d = 0; d < 4; d++) {
+                const nx = cx + DX[d];
+                const ny = cy + DY[d];
+                if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+                const nIdx = ny * width + nx;
+                if (segments[nIdx] === -1 && raw[nIdx] === label) {
+                    segments[nIdx] = count;
+                    stack[p++] = nIdx;
+                }
+            }
+        }
+
+        if (component.length < minSize && adjacent !== -1) {
+            for (const c of component) segments[c] = adjacent;
+        } else {
+            count++;
+        }
+    }
+
+    return { segments, count };
+}
+
+// Graph merge on the segment adjacency: first join neighbours with similar
+// means (closest pairs first), then fold segments under `minArea` into their
+// most similar neighbour, smallest first. Returns compact segment IDs.
+function mergeSegments(lab, segments, count, width, height, threshold, minArea) {
+    const n = width * height;
+    const sums = new Float64Array(count * 3);
+    const areas = new Float64Array(count);
+    for (let i = 0; i < n; i++) {
+        const s = segments[i];
+        sums[s * 3] += lab[i * 3];
+        sums[s * 3 + 1] += lab[i * 3 + 1];
+        sums[s * 3 + 2] += lab[i * 3 + 2];
+        areas[s]++;
+    }
+
+    // Adjacent pairs with their shared border length
+    const borders = new Map();
+    const addBorder = (a, b) => {
+        const key = a < b ? a * count + b : b * count + a;
+        borders.set(key, (borders.get(key) || 0) + 1);
+    };
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const s = segments[y * width + x];
+            if (x + 1 < width && segments[y * width + x + 1] !== s) addBorder(s, segments[y * width + x + 1]);
+            if (y + 1 < height && segments[(y + 1) * width + x] !== s) addBorder(s, segments[(y + 1) * width + x]);
+        }
+    }
+
+    const parent = new Int32Array(count).map((_, i) => i);
+    const find = (s) => {
+        while (parent[s] !== s) {
+            parent[s] = parent[parent[s]];
+            s = parent[s];
+        }
+        return s;
+    };
+    const meanDistSq = (a, b) => {
+        let d = 0;
+        for (let c = 0; c < 3; c++) {
+            const diff = sums[a * 3 + c] / areas[a] - sums[b * 3 + c] / areas[b];
+            d += diff * diff;
+        }
+        return d;
+    };
+    const union = (from, into) => {
+        parent[from] = into;
+        for (let c = 0; c < 3; c++) sums[into * 3 + c] += sums[from * 3 + c];
+        areas[into] += areas[from];
+    };
+
+    // 1. Similar neighbours, closest pairs first. Means are re-checked as
+    // segments grow, so a chain of small steps can't drift across an edge.
+    const pairs = [...borders.keys()]
+        .map(key => [Math.floor(key / count), key % count])
+        .map(([a, b]) => ({ a, b, d: meanDistSq(a, b) }))
+        .sort((p, q) => p.d - q.d);
+    const thresholdSq = threshold * threshold;
+    for (const { a, b, d } of pairs) {
+        if (d >= thresholdSq) break;
+        const ra = find(a);
+        const rb = find(b);
+        if (ra === rb || meanDistSq(ra, rb) >= thresholdSq) continue;
+        if (areas[ra] >= areas[rb]) union(rb, ra);
+        else union(ra, rb);
+    }
+
+    // 2. Segments under minArea join their most similar neighbour
+    const neighbors = new Map();
+    borders.forEach((length, key) => {
+        const ra = find(Math.floor(key / count));
+        const rb = find(key % count);
+        if (ra === rb) return;
+        if (!neighbors.has(ra)) neighbors.set(ra, new Set());
+        if (!neighbors.has(rb)) neighbors.set(rb, new Set());
+        neighbors.get(ra).add(rb);
+        neighbors.get(rb).add(ra);
+    });
+    const small = [...neighbors.keys()]
+        .filter(r => areas[r] < minArea)
+        .sort((a, b) => areas[a] - areas[b]);
+    for (const s of small) {
+        const r = find(s);
+        if (r !== s || areas[r] >= minArea) continue;
+
+        let best = -1;
+        let bestDist = Infinity;
+        for (const other of neighbors.get(r)) {
+            const o = find(other);
+            if (o === r) continue;
+            const d = meanDistSq(r, o);
+            if (d < bestDist) {
+                bestDist = d;
+                best = o;
+            }
+        }
+        if (best === -1) continue;
+
+        union(r, best);
+        const into = neighbors.get(best);
+        for (const other of neighbors.get(r)) {
+            const o = find(other);
+            if (o !== best) {
+                into.add(o);
+                neighbors.get(o)?.add(best);
+            }
+        }
+    }
+
+    // Compact IDs and mean colors
+    const compact = new Int32Array(count).fill(-1);
+    const means = [];
+    const out = new Int32Array(n);
+    for (let i = 0; i < n; i++) {
+        const r = find(segments[i]);
+        if (compact[r] === -1) {
+            compact[r] = means.length / 3;
+            means.push(sums[r * 3] / areas[r], sums[r * 3 + 1] / areas[r], sums[r * 3 + 2] / areas[r]);
+        }
+        out[i] = compact[r];
+    }
+
+    return { segments: out, means: new Float32Array(means), count: means.length / 3 };
+}
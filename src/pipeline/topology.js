@@ -0,0 +1,471 @@
+// Shared-boundary tracing: every border between two regions is built once as
+// an arc, and each region refers to its arcs (TopoJSON-style).
+//
+// Coordinates live on the pixel-corner lattice: pixel (x, y) covers the square
+// [x, x + 1] x [y, y + 1], so outlines run exactly along pixel edges and two
+// neighbours always share the very same line.
+
+// Direction offsets (4-connectivity), same order used for vertex edge lookups
+const DIRS = [[1, 0], [0, 1], [-1, 0], [0, -1]]; // east, south, west, north
+
+/**
+ * Connected Component Labeling (4-connectivity) over a color-index grid.
+ * Returns { regionIds: Int32Array, regionColors: number[], regionAreas: number[] }.
+ */
+export function labelRegions(labels, width, height) {
+    const n = width * height;
+    const regionIds = new Int32Array(n).fill(-1);
+    const regionColors = [];
+    const regionAreas = [];
+    const stack = new Int32Array(n);
+
+    for (let i = 0; i < n; i++) {
+        if (regionIds[i] !== -1) continue;
+
+        const id = regionColors.length;
+        const color = labels[i];
+        let area = 0;
+        let p = 0;
+        stack[p++] = i;
+        regionIds[i] = id;
+
+        while (p > 0) {
+            const curr = stack[--p];
+            area++;
+
+            const cx = curr % width;
+            const cy = (curr - cx) / width;
+
+            for (let d = 0; d < 4; d++) {
+                const nx = cx + DIRS[d][0];
+                const ny = cy + DIRS[d][1];
+                if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+                    const nIdx = ny * width + nx;
+                    if (regionIds[nIdx] === -1 && labels[nIdx] === color) {
+                        regionIds[nIdx] = id;
+                        stack[p++] = nIdx;
+                    }
+                }
+            }
+        }
+
+        regionColors.push(color);
+        regionAreas.push(area);
+    }
+
+    return { regionIds, regionColors, regionAreas };
+}
+
+/**
+ * Build the shared-boundary topology of a color-index grid.
+ *
+ * Returns a TopoJSON-like object:
+ *   {
+ *     type: 'Topology',
+ *     arcs: [[[x, y], ...], ...],         // each shared border, traced once
+ *     arcRegions: [[right, left], ...],  // region on each side (-1 = outside)
+ *     objects: { regions: { type: 'GeometryCollection', geometries: [
+ *       { type: 'Polygon', arcs: [[0, ~3, ...], ...], properties: { regionId, colorIndex, area } }
+ *     ] } },
+ *     regionIds                           // Int32Array, region per pixel
+ *   }
+ * Arc references follow TopoJSON: `i` is arc i forwards, `~i` is it reversed.
+ * Rings run with their region on the right (clockwise on screen); the first
+ * ring of each polygon is the outer boundary, the rest are holes.
+ */
+export function buildTopology(labels, width, height) {
+    const { regionIds, regionColors, regionAreas } = labelRegions(labels, width, height);
+    const lattice = createLattice(regionIds, width, height);
+    const { isBoundary, edgeFrom, rightOf, leftOf } = lattice;
+    const isNode = (x, y) => lattice.degree(x, y) !== 2;
+
+    // 1. Trace arcs between nodes (vertices where 3+ boundary edges meet)
+    const traced = new Uint8Array(lattice.edgeCount);
+    const arcs = [];
+    const arcRegions = [];
+
+    const addArc = (x, y, d) => {
+        arcs.push(traceArc(lattice, traced, x, y, d, isNode));
+        arcRegions.push([rightOf(x, y, d), leftOf(x, y, d)]);
+    };
+
+    for (let y = 0; y <= height; y++) {
+        for (let x = 0; x <= width; x++) {
+            if (!isNode(x, y)) continue;
+            for (let d = 0; d < 4; d++) {
+                if (isBoundary(x, y, d) && !traced[edgeFrom(x, y, d)]) addArc(x, y, d);
+            }
+        }
+    }
+
+    // 2. Closed loops with no node on them (a region inside a single other region)
+    for (let y = 0; y <= height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (isBoundary(x, y, 0) && !traced[edgeFrom(x, y, 0)]) addArc(x, y, 0);
+        }
+    }
+
+    // 3. Assemble each region's rings from its arcs
+    return {
+        type: 'Topology',
+        arcs,
+        arcRegions,
+        objects: {
+            regions: { type: 'GeometryCollection', geometries: buildGeometries(arcs, arcRegions, regionColors, regionAreas) }
+        },
+        regionIds
+    };
+}
+
+/**
+ * Update a topology after the labels changed inside `box` ({ x0, y0, x1, y1 },
+ * pixels, end-exclusive), without tracing the whole image again.
+ *
+ * Boundary edges with a pixel inside the box are traced afresh. Every other
+ * edge keeps its boundary status, so the old arcs are kept there, cut where
+ * they enter the box. Regions are relabeled over the whole image (a stroke
+ * can split or join regions far beyond the box) and their rings reassembled.
+ * Returns a topology in the same format as buildTopology.
+ */
+export function retraceTopology(topology, labels, width, height, box) {
+    const { regionIds, regionColors, regionAreas } = labelRegions(labels, width, height);
+    const lattice = createLattice(regionIds, width, height);
+    const { isBoundary, edgeFrom, rightOf, leftOf } = lattice;
+    const { x0, y0, x1, y1 } = box;
+
+    const inBox = (x, y) => x >= x0 && x < x1 && y >= y0 && y < y1;
+    const isDirty = (x, y, d) => (
+        inBox(x + RIGHT_PIXEL[d][0], y + RIGHT_PIXEL[d][1]) || inBox(x + LEFT_PIXEL[d][0], y + LEFT_PIXEL[d][1])
+    );
+
+    const arcs = [];
+    const arcRegions = [];
+
+    // Besides the usual nodes, arcs end wherever a new arc meets a kept one
+    const isNode = (x, y) => {
+        let clean = 0;
+        let dirty = 0;
+        for (let d = 0; d < 4; d++) {
+            if (!isBoundary(x, y, d)) continue;
+            if (isDirty(x, y, d)) dirty++;
+            else clean++;
+        }
+        return clean + dirty !== 2 || (clean > 0 && dirty > 0);
+    };
+
+    // 1. Keep the clean stretches of the old arcs
+    for (const coords of topology.arcs) {
+        for (const run of cleanRuns(coords, isDirty, isNode)) {
+            const d = directionOf(run[0], run[1]);
+            arcs.push(run);
+            arcRegions.push([rightOf(run[0][0], run[0][1], d), leftOf(run[0][0], run[0][1], d)]);
+        }
+    }
+
+    // 2. Trace the boundary edges inside the box
+    const traced = new Uint8Array(lattice.edgeCount);
+
+    const addArc = (x, y, d) => {
+        arcs.push(traceArc(lattice, traced, x, y, d, isNode));
+        arcRegions.push([rightOf(x, y, d), leftOf(x, y, d)]);
+    };
+
+    for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+            if (!isNode(x, y)) continue;
+            for (let d = 0; d < 4; d++) {
+                if (isBoundary(x, y, d) && isDirty(x, y, d) && !traced[edgeFrom(x, y, d)]) addArc(x, y, d);
+            }
+        }
+    }
+
+    for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            if (isBoundary(x, y, 0) && isDirty(x, y, 0) && !traced[edgeFrom(x, y, 0)]) addArc(x, y, 0);
+        }
+    }
+
+    return {
+        type: 'Topology',
+        arcs,
+        arcRegions,
+        objects: {
+            regions: { type: 'GeometryCollection', geometries: buildGeometries(arcs, arcRegions, regionColors, regionAreas) }
+        },
+        regionIds
+    };
+}
+
+// Pixel to the right/left of the edge leaving a vertex in direction d,
+// as an offset from that vertex
+const RIGHT_PIXEL = [[0, 0], [-1, 0], [-1, -1], [0, -1]];
+const LEFT_PIXEL = [[0, -1], [0, 0], [-1, 0], [-1, -1]];
+
+// Helper: Edge indexing and boundary tests on the pixel-corner lattice
+function createLattice(regionIds, W, H) {
+    const hCount = (H + 1) * W; // horizontal edges, then vertical edges
+
+    const regionAt = (x, y) => (x < 0 || y < 0 || x >= W || y >= H) ? -1 : regionIds[y * W + x];
+
+    // Edge leaving vertex (x, y) in direction d, or -1 if it would leave the lattice
+    const edgeFrom = (x, y, d) => {
+        switch (d) {
+            case 0: return x < W ? y * W + x : -1;
+            case 1: return y < H ? hCount + y * (W + 1) + x : -1;
+            case 2: return x > 0 ? y * W + x - 1 : -1;
+            default: return y > 0 ? hCount + (y - 1) * (W + 1) + x : -1;
+        }
+    };
+
+    // Regions to the right/left when walking from (x, y) in direction d
+    const rightOf = (x, y, d) => regionAt(x + RIGHT_PIXEL[d][0], y + RIGHT_PIXEL[d][1]);
+    const leftOf = (x, y, d) => regionAt(x + LEFT_PIXEL[d][0], y + LEFT_PIXEL[d][1]);
+
+    const isBoundary = (x, y, d) => edgeFrom(x, y, d) !== -1 && rightOf(x, y, d) !== leftOf(x, y, d);
+
+    const degree = (x, y) => {
+        let deg = 0;
+        for (let d = 0; d < 4; d++) if (isBoundary(x, y, d)) deg++;
+        return deg;
+    };
+
+    return { edgeCount: hCount + H * (W + 1), edgeFrom, rightOf, leftOf, isBoundary, degree };
+}
+
+// Follow boundary edges from (sx, sy) in direction sd until reaching a vertex
+// where `isNode` holds or the start again. Marks the edges in `traced` and
+// returns the arc's corner coordinates.
+function traceArc(lattice, traced, sx, sy, sd, isNode) {
+    const coords = [[sx, sy]];
+    let x = sx;
+    let y = sy;
+    let d = sd;
+
+    for (;;) {
+        traced[lattice.edgeFrom(x, y, d)] = 1;
+        x += DIRS[d][0];
+        y += DIRS[d][1];
+
+        if ((x === sx && y === sy) || isNode(x, y)) {
+            coords.push([x, y]);
+            break;
+        }
+
+        // Continue along the only other boundary edge; keep corners only
+        const back = (d + 2) % 4;
+        let next = -1;
+        for (let nd = 0; nd < 4; nd++) {
+            if (nd !== back && lattice.isBoundary(x, y, nd)) {
+                next = nd;
+                break;
+            }
+        }
+        if (next !== d) coords.push([x, y]);
+        d = next;
+    }
+
+    return coords;
+}
+
+// Split an arc into its stretches of clean (not dirty) unit edges, as corner
+// coordinate lists. A closed loop cut somewhere keeps its two ends joined,
+// unless they meet at a node.
+function cleanRuns(coords, isDirty, isNode) {
+    const runs = [];
+    let run = null;
+    let firstClean = null;
+    let lastClean = false;
+
+    for (let k = 1; k < coords.length; k++) {
+        const d = directionOf(coords[k - 1], coords[k]);
+        let [x, y] = coords[k - 1];
+        const [ex, ey] = coords[k];
+
+        while (x !== ex || y !== ey) {
+            const clean = !isDirty(x, y, d);
+            if (firstClean === null) firstClean = clean;
+            lastClean = clean;
+
+            if (clean && !run) {
+                run = [[x, y]];
+                runs.push(run);
+            } else if (!clean) {
+                run = null;
+            }
+
+            x += DIRS[d][0];
+            y += DIRS[d][1];
+            if (run) run.push([x, y]);
+        }
+    }
+
+    const start = coords[0];
+    const end = coords[coords.length - 1];
+    const closed = start[0] === end[0] && start[1] === end[1];
+    if (closed && runs.length > 1 && firstClean && lastClean && !isNode(start[0], start[1])) {
+        // The last run continues into the first one
+        const head = runs.shift();
+        runs[runs.length - 1] = runs[runs.length - 1].concat(head.slice(1));
+    }
+
+    return runs.map(simplifyCorners);
+}
+
+// Helper: Drop collinear points, keeping the ends
+function simplifyCorners(coords) {
+    const out = [coords[0]];
+    for (let i = 1; i < coords.length - 1; i++) {
+        const prev = out[out.length - 1];
+        const next = coords[i + 1];
+        const cur = coords[i];
+        const cross = (cur[0] - prev[0]) * (next[1] - cur[1]) - (cur[1] - prev[1]) * (next[0] - cur[0]);
+        if (cross !== 0) out.push(cur);
+    }
+    out.push(coords[coords.length - 1]);
+    return out;
+}
+
+// Helper: Lattice direction (index into DIRS) from one point towards another
+function directionOf(a, b) {
+    const dx = Math.sign(b[0] - a[0]);
+    const dy = Math.sign(b[1] - a[1]);
+    return DIRS.findIndex(([x, y]) => x === dx && y === dy);
+}
+
+// Polygon geometries (one per region) from oriented arcs
+function buildGeometries(arcs, arcRegions, regionColors, regionAreas) {
+    const regionArcs = regionColors.map(() => []);
+    arcRegions.forEach(([right, left], i) => {
+        if (right !== -1) regionArcs[right].push(i);
+        if (left !== -1) regionArcs[left].push(~i);
+    });
+
+    return regionArcs.map((signedArcs, regionId) => ({
+        type: 'Polygon',
+        arcs: assembleRings(signedArcs, arcs),
+        properties: {
+            regionId,
+            colorIndex: regionColors[regionId],
+            area: regionAreas[regionId]
+        }
+    }));
+}
+
+/**
+ * Shared border length between neighbouring regions.
+ * Returns an array (one per region) of Map(neighborRegionId => length in px).
+ * The image border (-1) is not counted as a neighbour.
+ */
+export function regionAdjacency(topology, regionCount) {
+    const adjacency = Array.from({ length: regionCount }, () => new Map());
+
+    topology.arcs.forEach((coords, i) => {
+        const [right, left] = topology.arcRegions[i];
+        if (right === -1 || left === -1) return;
+
+        let length = 0;
+        for (let k = 1; k < coords.length; k++) {
+            length += Math.abs(coords[k][0] - coords[k - 1][0]) + Math.abs(coords[k][1] - coords[k - 1][1]);
+        }
+
+        adjacency[right].set(left, (adjacency[right].get(left) || 0) + length);
+        adjacency[left].set(right, (adjacency[left].get(right) || 0) + length);
+    });
+
+    return adjacency;
+}
+
+// Helper: Coordinates of a signed arc reference, in traversal order
+export function arcCoords(arcs, ref) {
+    return ref >= 0 ? arcs[ref] : arcs[~ref].slice().reverse();
+}
+
+// Chain a region's oriented arcs into closed rings. Where a region touches
+// itself at a corner, take the sharpest right turn so that diagonal pixels
+// stay apart (4-connectivity). Outer ring first, holes after.
+function assembleRings(signedArcs, arcs) {
+    const key = (p) => p[0] + ',' + p[1];
+    const startsAt = new Map();
+    const info = signedArcs.map(ref => {
+        const coords = arcCoords(arcs, ref);
+        const n = coords.length;
+        const entry = {
+            ref,
+            start: key(coords[0]),
+            end: key(coords[n - 1]),
+            outDir: [Math.sign(coords[1][0] - coords[0][0]), Math.sign(coords[1][1] - coords[0][1])],
+            inDir: [Math.sign(coords[n - 1][0] - coords[n - 2][0]), Math.sign(coords[n - 1][1] - coords[n - 2][1])],
+            used: false
+        };
+        if (!startsAt.has(entry.start)) startsAt.set(entry.start, []);
+        startsAt.get(entry.start).push(entry);
+        return entry;
+    });
+
+    // right turn > straight > left turn > U-turn (screen coordinates, y down)
+    const turnScore = (inDir, outDir) => {
+        const cross = inDir[0] * outDir[1] - inDir[1] * outDir[0];
+        if (cross > 0) return 3;
+        if (cross < 0) return 1;
+        return inDir[0] === outDir[0] && inDir[1] === outDir[1] ? 2 : 0;
+    };
+
+    const rings = [];
+    for (const first of info) {
+        if (first.used) continue;
+
+        const ring = [];
+        let current = first;
+        while (current && !current.used) {
+            current.used = true;
+            ring.push(current.ref);
+
+            let best = null;
+            let bestScore = -1;
+            for (const candidate of startsAt.get(current.end) || []) {
+                const score = turnScore(current.inDir, candidate.outDir);
+                if (score > bestScore && (!candidate.used || candidate === first)) {
+                    bestScore = score;
+                    best = candidate;
+                }
+            }
+            current = best;
+        }
+        rings.push(ring);
+    }
+
+    // Outer ring has positive signed area (clockwise on screen), holes negative
+    const withArea = rings.map(ring => ({ ring, area: signedArea(ringCoords(arcs, ring)) }));
+    withArea.sort((a, b) => b.area - a.area);
+    return withArea.map(r => r.ring);
+}
+
+// Concatenate a ring's arcs into one closed coordinate ring
+export function ringCoords(arcs, ring) {
+    const coords = [];
+    ring.forEach(ref => {
+        const part = arcCoords(arcs, ref);
+        for (let i = coords.length ? 1 : 0; i < part.length; i++) coords.push(part[i]);
+    });
+    return coords;
+}
+
+// Shoelace formula, signed
+function signedArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const j = (i + 1) % ring.length;
+        area += ring[i][0] * ring[j][1];
+        area -= ring[j][0] * ring[i][1];
+    }
+    return area / 2;
+}
+
+// Helper: SVG path data for an open polyline ("M0,0L4,0L4,3")
+export function linePath(coords) {
+    let d = '';
+    for (let i = 0; i < coords.length; i++) {
+        d += (i === 0 ? 'M' : 'L') + coords[i][0] + ',' + coords[i][1];
+    }
+    return d;
+}
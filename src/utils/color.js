@@ -0,0 +1,194 @@
+// Color space helpers shared by the worker and the UI
+
+// Constants
+const LAB_EPSILON = 0.008856;
+const LAB_KAPPA = 903.3;
+
+// Helper: RGB to LAB conversion
+export function rgb2lab(r, g, b) {
+    return linear2lab(srgb2linear(r / 255), srgb2linear(g / 255), srgb2linear(b / 255));
+}
+
+// Helper: sRGB channel in [0, 1] to linear light
+export function srgb2linear(c) {
+    return c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+}
+
+// Helper: Linear RGB (each in [0, 1]) to LAB
+export function linear2lab(R, G, B) {
+    let X = R * 0.4124 + G * 0.3576 + B * 0.1805;
+    let Y = R * 0.2126 + G * 0.7152 + B * 0.0722;
+    let Z = R * 0.0193 + G * 0.1192 + B * 0.9505;
+
+    X = X / 0.95047;
+    Y = Y / 1.00000;
+    Z = Z / 1.08883;
+
+    X = X > LAB_EPSILON ? Math.cbrt(X) : (LAB_KAPPA * X + 16) / 116;
+    Y = Y > LAB_EPSILON ? Math.cbrt(Y) : (LAB_KAPPA * Y + 16) / 116;
+    Z = Z > LAB_EPSILON ? Math.cbrt(Z) : (LAB_KAPPA * Z + 16) / 116;
+
+    const L = 116 * Y - 16;
+    const a = 500 * (X - Y);
+    const bb = 200 * (Y - Z);
+
+    return [L, a, bb];
+}
+
+// Helper: LAB to linear RGB, clamped to [0, 1]
+export function lab2linear(L, a, b) {
+    let y = (L + 16) / 116;
+    let x = a / 500 + y;
+    let z = y - b / 200;
+
+    const x3 = x * x * x;
+    const y3 = y * y * y;
+    const z3 = z * z * z;
+
+    x = 0.95047 * (x3 > 0.008856 ? x3 : (x - 16 / 116) / 7.787);
+    y = 1.00000 * (y3 > 0.008856 ? y3 : (y - 16 / 116) / 7.787);
+    z = 1.08883 * (z3 > 0.008856 ? z3 : (z - 16 / 116) / 7.787);
+
+    const r = x * 3.2406 + y * -1.5372 + z * -0.4986;
+    const g = x * -0.9689 + y * 1.8758 + z * 0.0415;
+    const bl = x * 0.0557 + y * -0.2040 + z * 1.0570;
+
+    return [
+        Math.max(0, Math.min(1, r)),
+        Math.max(0, Math.min(1, g)),
+        Math.max(0, Math.min(1, bl))
+    ];
+}
+
+// Helper: CIE76 color difference (Euclidean distance in LAB)
+export function deltaE76(a, b) {
+    const dL = a[0] - b[0];
+    const da = a[1] - b[1];
+    const db = a[2] - b[2];
+    return Math.sqrt(dL * dL + da * da + db * db);
+}
+
+// Helper: CIE94 color difference (graphic arts constants). kL and kC scale
+// down how much lightness and chroma differences count.
+export function deltaE94(a, b, kL = 1, kC = 1) {
+    const dL = a[0] - b[0];
+    const c1 = Math.hypot(a[1], a[2]);
+    const c2 = Math.hypot(b[1], b[2]);
+    const dC = c1 - c2;
+    const da = a[1] - b[1];
+    const db = a[2] - b[2];
+    const dH2 = Math.max(0, da * da + db * db - dC * dC);
+    const sC = 1 + 0.045 * c1;
+    const sH = 1 + 0.015 * c1;
+    const l = dL / kL;
+    const c = dC / (kC * sC);
+    return Math.sqrt(l * l + c * c + dH2 / (sH * sH));
+}
+
+const RAD = Math.PI / 180;
+const POW25_7 = 25 ** 7;
+
+// Helper: CIEDE2000 color difference (Sharma, Wu & Dalal's formulation),
+// with the same kL and kC weights as deltaE94
+export function deltaE2000(a, b, kL = 1, kC = 1) {
+    const [L1, a1, b1] = a;
+    const [L2, a2, b2] = b;
+
+    const cMean = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+    const cMean7 = cMean ** 7;
+    const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + POW25_7)));
+    const a1p = a1 * (1 + g);
+    const a2p = a2 * (1 + g);
+    const c1p = Math.hypot(a1p, b1);
+    const c2p = Math.hypot(a2p, b2);
+    const h1p = c1p === 0 ? 0 : (Math.atan2(b1, a1p) / RAD + 360) % 360;
+    const h2p = c2p === 0 ? 0 : (Math.atan2(b2, a2p) / RAD + 360) % 360;
+
+    const dLp = L2 - L1;
+    const dCp = c2p - c1p;
+    let dhp = 0;
+    if (c1p * c2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(dhp * RAD / 2);
+
+    const lMean = (L1 + L2) / 2;
+    const cpMean = (c1p + c2p) / 2;
+    let hpMean = h1p + h2p;
+    if (c1p * c2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) hpMean /= 2;
+        else hpMean = (h1p + h2p < 360 ? hpMean + 360 : hpMean - 360) / 2;
+    }
+
+    const t = 1
+        - 0.17 * Math.cos((hpMean - 30) * RAD)
+        + 0.24 * Math.cos(2 * hpMean * RAD)
+        + 0.32 * Math.cos((3 * hpMean + 6) * RAD)
+        - 0.20 * Math.cos((4 * hpMean - 63) * RAD);
+    const dTheta = 30 * Math.exp(-(((hpMean - 275) / 25) ** 2));
+    const cpMean7 = cpMean ** 7;
+    const rC = 2 * Math.sqrt(cpMean7 / (cpMean7 + POW25_7));
+    const lm50 = (lMean - 50) ** 2;
+    const sL = 1 + (0.015 * lm50) / Math.sqrt(20 + lm50);
+    const sC = 1 + 0.045 * cpMean;
+    const sH = 1 + 0.015 * cpMean * t;
+    const rT = -Math.sin(2 * dTheta * RAD) * rC;
+
+    const l = dLp / (kL * sL);
+    const c = dCp / (kC * sC);
+    const h = dHp / sH;
+    return Math.sqrt(l * l + c * c + h * h + rT * c * h);
+}
+
+// Helper: LAB to RGB conversion for display
+export function lab2rgb(L, a, b) {
+    let y = (L + 16) / 116;
+    let x = a / 500 + y;
+    let z = y - b / 200;
+
+    const x3 = x * x * x;
+    const y3 = y * y * y;
+    const z3 = z * z * z;
+
+    x = 0.95047 * (x3 > 0.008856 ? x3 : (x - 16 / 116) / 7.787);
+    y = 1.00000 * (y3 > 0.008856 ? y3 : (y - 16 / 116) / 7.787);
+    z = 1.08883 * (z3 > 0.008856 ? z3 : (z - 16 / 116) / 7.787);
+
+    let r = x * 3.2406 + y * -1.5372 + z * -0.4986;
+    let g = x * -0.9689 + y * 1.8758 + z * 0.0415;
+    let bl = x * 0.0557 + y * -0.2040 + z * 1.0570;
+
+    r = r > 0.0031308 ? 1.055 * Math.pow(r, 1.0 / 2.4) - 0.055 : 12.92 * r;
+    g = g > 0.0031308 ? 1.055 * Math.pow(g, 1.0 / 2.4) - 0.055 : 12.92 * g;
+    bl = bl > 0.0031308 ? 1.055 * Math.pow(bl, 1.0 / 2.4) - 0.055 : 12.92 * bl;
+
+    return [
+        Math.max(0, Math.min(255, r * 255)),
+        Math.max(0, Math.min(255, g * 255)),
+        Math.max(0, Math.min(255, bl * 255))
+    ];
+}
+
+// "#RGB" or "#RRGGBB" (hash optional) => [r, g, b], or null if malformed
+export function parseHex(hex) {
+    const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+    if (!m) return null;
+
+    let h = m[1];
+    if (h.length === 3) h = h[0] + h[0] + h[1] + h[1] + h[2] + h[2];
+    const n = parseInt(h, 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+export function hex2lab(hex) {
+    const rgb = parseHex(hex);
+    return rgb ? rgb2lab(rgb[0], rgb[1], rgb[2]) : null;
+}
+
+export function lab2hex(L, a, b) {
+    return '#' + lab2rgb(L, a, b)
+        .map(v => Math.round(v).toString(16).padStart(2, '0'))
+        .join('');
+}
@@ -0,0 +1,60 @@
+// Palette legend shared by the on-screen swatches and the exports
+
+/**
+ * One entry per palette color: { number, hex, name, code, text, recipe }.
+ * In fixed-palette mode `text` is "Name (Code)", otherwise the hex value.
+ * `recipe` is the mixing recipe line ("... (ΔE 2.1)") or null.
+ */
+export function legendEntries(result) {
+    const { palette, paletteInfo = [] } = result;
+
+    return palette.map((_, i) => {
+        const info = paletteInfo[i] || {};
+        const name = info.name || null;
+        const code = info.code || null;
+        const hex = info.hex || '#000000';
+
+        let text = hex.toUpperCase();
+        if (name) text = code ? `${name} (${code})` : name;
+
+        const recipe = info.recipe
+            ? `${info.recipe.text} (ΔE ${info.recipe.error.toFixed(1)})`
+            : null;
+
+        return { number: i + 1, hex, name, code, text, recipe };
+    });
+}
+
+/**
+ * Grid layout for a legend block `width` px wide. Returns the cell size,
+ * the column count and the total height so callers can grow their page.
+ * With `withRecipes` each cell gets a second, wider line for the recipe.
+ */
+export function legendLayout(count, width, { withRecipes = false } = {}) {
+    const cellWidth = withRecipes ? 340 : 200;
+    const cellHeight = withRecipes ? 36 : 22;
+    const padding = 12;
+    const columns = Math.max(1, Math.floor((width - padding * 2) / cellWidth));
+    const rows = Math.ceil(count / columns);
+
+    return {
+        cellWidth,
+        cellHeight,
+        padding,
+        columns,
+        height: rows * cellHeight + padding * 2,
+        position: (i) => ({
+            x: padding + (i % columns) * cellWidth,
+            y: padding + Math.floor(i / columns) * cellHeight
+        })
+    };
+}
+
+// Helper: Escape text for inclusion in SVG/XML
+export function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,132 @@
+// Paint mixing recipes: approximate a target LAB color from a set of tubes
+
+import { lab2linear, linear2lab, deltaE76 } from './color.js';
+
+// Avoid log(0) for pure black channels
+const MIN_REFLECTANCE = 0.001;
+
+/**
+ * Predict the color of a mix. Pigments mix subtractively, which a weighted
+ * geometric mean of linear RGB approximates far better than averaging.
+ * `components` is [{ tube, parts }] where tube has a precomputed `logRgb`.
+ */
+function mixColor(components) {
+    let total = 0;
+    const acc = [0, 0, 0];
+
+    for (const { tube, parts } of components) {
+        total += parts;
+        acc[0] += parts * tube.logRgb[0];
+        acc[1] += parts * tube.logRgb[1];
+        acc[2] += parts * tube.logRgb[2];
+    }
+
+    return linear2lab(
+        Math.exp(acc[0] / total),
+        Math.exp(acc[1] / total),
+        Math.exp(acc[2] / total)
+    );
+}
+
+// All ways to split `total` into `n` positive integer parts
+function partitions(total, n) {
+    if (n === 1) return [[total]];
+    const out = [];
+    for (let first = 1; first <= total - n + 1; first++) {
+        for (const rest of partitions(total - first, n - 1)) {
+            out.push([first, ...rest]);
+        }
+    }
+    return out;
+}
+
+// Drop splits like [2, 4] that reduce to one we already have ([1, 2])
+function reducedPartitions(maxParts, n) {
+    const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+    const out = [];
+    for (let total = n; total <= maxParts; total++) {
+        for (const split of partitions(total, n)) {
+            if (split.reduce(gcd) === 1) out.push(split);
+        }
+    }
+    return out;
+}
+
+/**
+ * Prepare tubes ({ name, code, lab }) for repeated recipe searches.
+ */
+export function prepareTubes(tubes) {
+    return tubes.map(tube => ({
+        ...tube,
+        logRgb: lab2linear(tube.lab[0], tube.lab[1], tube.lab[2])
+            .map(c => Math.log(Math.max(MIN_REFLECTANCE, c)))
+    }));
+}
+
+/**
+ * Find the simplest mix of up to `maxPaints` tubes (in whole parts, at most
+ * `maxParts` in total) whose predicted color is close to `targetLab`.
+ * A recipe with more tubes only wins if it is at least `simplicityBias`
+ * ΔE better than the best simpler one.
+ * Returns { components: [{ name, code, parts }], lab, error } where error is ΔE76.
+ */
+export function findRecipe(targetLab, preparedTubes, { maxPaints = 3, maxParts = 6, candidates = 8, simplicityBias = 1 } = {}) {
+    if (preparedTubes.length === 0) return null;
+
+    // Rank tubes by how close they are on their own; pairs and triples are
+    // only searched among the closest few plus the extremes (white, black)
+    const ranked = preparedTubes
+        .map(tube => ({ tube, error: deltaE76(targetLab, tube.lab) }))
+        .sort((a, b) => a.error - b.error);
+
+    const byLightness = [...preparedTubes].sort((a, b) => a.lab[0] - b.lab[0]);
+    const pool = [...new Set([
+        ...ranked.slice(0, candidates).map(r => r.tube),
+        byLightness[0],
+        byLightness[byLightness.length - 1]
+    ])];
+
+    let best = {
+        components: [{ tube: ranked[0].tube, parts: 1 }],
+        lab: ranked[0].tube.lab,
+        error: ranked[0].error
+    };
+
+    const searchSize = (n, start, chosen) => {
+        if (chosen.length === n) {
+            for (const split of reducedPartitions(maxParts, n)) {
+                const components = chosen.map((tube, i) => ({ tube, parts: split[i] }));
+                const lab = mixColor(components);
+                const error = deltaE76(targetLab, lab);
+                if (error < bestOfSize.error) bestOfSize = { components, lab, error };
+            }
+            return;
+        }
+        for (let i = start; i < pool.length; i++) {
+            searchSize(n, i + 1, [...chosen, pool[i]]);
+        }
+    };
+
+    let bestOfSize;
+    for (let n = 2; n <= Math.min(maxPaints, pool.length); n++) {
+        bestOfSize = { error: Infinity };
+        searchSize(n, 0, []);
+        if (bestOfSize.error + simplicityBias < best.error) best = bestOfSize;
+    }
+
+    return {
+        components: best.components
+            .sort((a, b) => b.parts - a.parts)
+            .map(({ tube, parts }) => ({ name: tube.name, code: tube.code, parts })),
+        lab: best.lab,
+        error: best.error
+    };
+}
+
+// "2 parts Titanium White + 1 part Ultramarine Blue"
+export function formatRecipe(recipe) {
+    if (!recipe) return '';
+    return recipe.components
+        .map(({ name, parts }) => `${parts} ${parts === 1 ? 'part' : 'parts'} ${name}`)
+        .join(' + ');
+}
@@ -0,0 +1,69 @@
+// Paint set parsing for fixed-palette mode
+
+// Our standard 24-tube acrylic kit. One paint per line: Name, Code, Color
+export const DEFAULT_PAINT_LIST = `Titanium White, A01, #F4F4F0
+Ivory Black, A02, #1E1E1E
+Payne's Grey, A03, #3B4652
+Neutral Grey, A04, #8A8A88
+Lemon Yellow, A05, #F5E32A
+Cadmium Yellow Medium, A06, #F7B500
+Yellow Ochre, A07, #C9932F
+Cadmium Orange, A08, #F0741F
+Cadmium Red Light, A09, #DB3A22
+Crimson, A10, #A3122E
+Quinacridone Magenta, A11, #9C2A5E
+Dioxazine Purple, A12, #4A2364
+Ultramarine Blue, A13, #2A3C8F
+Cobalt Blue, A14, #1F56A8
+Cerulean Blue, A15, #2E86C1
+Phthalo Blue, A16, #0F3A6B
+Turquoise, A17, #1AA3A0
+Phthalo Green, A18, #0E5E4B
+Sap Green, A19, #4E6B2A
+Light Green, A20, #8DC252
+Raw Sienna, A21, #B36B2D
+Burnt Sienna, A22, #8A3F1F
+Raw Umber, A23, #5C4630
+Burnt Umber, A24, #4A2E1F`;
+
+/**
+ * Parse a paint list, one paint per line: "Name, Code, Color".
+ * Color is a hex value ("#RRGGBB") or a LAB triple ("53.2 80.1 67.2").
+ * The code is optional ("Name, Color"). Blank lines and lines starting
+ * with "#" followed by a space are ignored.
+ * Returns { paints: [{ name, code, hex } | { name, code, lab }], errors: [string] }
+ */
+export function parsePaintList(text) {
+    const paints = [];
+    const errors = [];
+
+    String(text).split('\n').forEach((rawLine, lineIdx) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('# ')) return;
+
+        const parts = line.split(',').map(p => p.trim());
+        if (parts.length < 2) {
+            errors.push(`Line ${lineIdx + 1}: expected "Name, Code, Color"`);
+            return;
+        }
+
+        const name = parts[0];
+        const code = parts.length > 2 ? parts[1] : '';
+        const color = parts[parts.length - 1];
+
+        if (/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)) {
+            paints.push({ name, code, hex: color.startsWith('#') ? color : '#' + color });
+            return;
+        }
+
+        const lab = color.split(/\s+/).map(Number);
+        if (lab.length === 3 && lab.every(Number.isFinite)) {
+            paints.push({ name, code, lab });
+            return;
+        }
+
+        errors.push(`Line ${lineIdx + 1}: "${color}" is not a hex or LAB color`);
+    });
+
+    return { paints, errors };
+}
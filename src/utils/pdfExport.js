@@ -0,0 +1,214 @@
+// Print-ready PDF export, built entirely in the browser with jsPDF.
+// Template pages (tiled across sheets when they don't fit), a numbered
+// legend page and a colored preview page.
+import { jsPDF } from 'jspdf';
+import { ringCoords } from '../pipeline/topology.js';
+import { legendEntries } from './legend.js';
+import { parseHex } from './color.js';
+import { DEFAULT_PDF_OPTIONS, planTiles, cropMarkSize } from './printLayout.js';
+
+const PT_PER_MM = 72 / 25.4;
+
+/**
+ * Build the PDF document for a RESULT payload. Returns a jsPDF instance;
+ * call `.save(filename)` or `.output('blob')` on it.
+ */
+export function buildTemplatePdf(result, options = {}) {
+    const opts = { ...DEFAULT_PDF_OPTIONS, ...options };
+    const plan = planTiles(result, opts);
+    const doc = new jsPDF({
+        unit: 'mm',
+        format: [plan.pageW, plan.pageH],
+        orientation: plan.orientation
+    });
+
+    plan.tiles.forEach((tile, i) => {
+        if (i > 0) doc.addPage([plan.pageW, plan.pageH], plan.orientation);
+        drawTemplateTile(doc, result, plan, tile, opts);
+    });
+
+    drawLegendPages(doc, result, plan, opts);
+
+    doc.addPage([plan.pageW, plan.pageH], plan.orientation);
+    drawPreviewPage(doc, result, plan, opts);
+
+    return doc;
+}
+
+// One sheet of the template: outlines, numbers, overlap guides, crop marks
+function drawTemplateTile(doc, result, plan, tile, { marginMm, overlapMm, cropMarks }) {
+    const { outlines, numbers } = result;
+    const margin = result.margin || 0;
+    const s = plan.mmPerPx;
+
+    // Template px => page mm for this tile
+    const px = (x) => marginMm + (x + margin) * s - tile.offsetX;
+    const py = (y) => marginMm + (y + margin) * s - tile.offsetY;
+
+    // Visible window in template px, to skip everything off this sheet
+    const view = {
+        x0: tile.offsetX / s - margin,
+        y0: tile.offsetY / s - margin,
+        x1: (tile.offsetX + plan.printW) / s - margin,
+        y1: (tile.offsetY + plan.printH) / s - margin
+    };
+
+    doc.saveGraphicsState();
+    doc.rect(marginMm, marginMm, plan.printW, plan.printH, null);
+    doc.clip();
+    doc.discardPath();
+
+    // Outlines: every shared border once
+    doc.setDrawColor(148, 163, 184);
+    doc.setLineWidth(0.2);
+    for (const { points, curves } of outlines) {
+        if (!intersects(bounds(points), view)) continue;
+        doc.moveTo(px(points[0][0]), py(points[0][1]));
+        for (let k = 1; k < points.length; k++) {
+            if (curves) {
+                const [c1, c2] = curves[k - 1];
+                doc.curveTo(px(c1[0]), py(c1[1]), px(c2[0]), py(c2[1]), px(points[k][0]), py(points[k][1]));
+            } else {
+                doc.lineTo(px(points[k][0]), py(points[k][1]));
+            }
+        }
+        doc.stroke();
+    }
+
+    // Numbers, sized like on screen
+    doc.setTextColor(51, 65, 85);
+    for (const n of numbers) {
+        if (n.leader) {
+            doc.setDrawColor(100, 116, 139);
+            doc.setLineWidth(0.1);
+            doc.line(px(n.leader.x), py(n.leader.y), px(n.x), py(n.y));
+        }
+        if (n.x < view.x0 - 20 || n.x > view.x1 + 20 || n.y < view.y0 - 20 || n.y > view.y1 + 20) continue;
+        doc.setFontSize((n.fontSize || 10) * s * PT_PER_MM);
+        doc.text(String(n.label), px(n.x), py(n.y), { align: 'center', baseline: 'middle' });
+    }
+
+    doc.restoreGraphicsState();
+
+    // Overlap guides: dashed lines where the neighbouring sheet's edge falls
+    doc.setDrawColor(56, 189, 248);
+    doc.setLineWidth(0.15);
+    doc.setLineDashPattern([2, 2], 0);
+    if (tile.col > 0) doc.line(marginMm + overlapMm, marginMm, marginMm + overlapMm, marginMm + plan.printH);
+    if (tile.col < plan.cols - 1) {
+        doc.line(marginMm + plan.printW - overlapMm, marginMm, marginMm + plan.printW - overlapMm, marginMm + plan.printH);
+    }
+    if (tile.row > 0) doc.line(marginMm, marginMm + overlapMm, marginMm + plan.printW, marginMm + overlapMm);
+    if (tile.row < plan.rows - 1) {
+        doc.line(marginMm, marginMm + plan.printH - overlapMm, marginMm + plan.printW, marginMm + plan.printH - overlapMm);
+    }
+    doc.setLineDashPattern([], 0);
+
+    const marks = cropMarks ? cropMarkSize(marginMm) : null;
+    if (marks) drawCropMarks(doc, marginMm, marginMm, plan.printW, plan.printH, marks);
+
+    if (plan.tiles.length > 1) {
+        doc.setFontSize(8);
+        doc.setTextColor(100, 116, 139);
+        doc.text(
+            `Sheet ${tile.row * plan.cols + tile.col + 1} of ${plan.tiles.length} (row ${tile.row + 1}, column ${tile.col + 1})`,
+            plan.pageW / 2,
+            plan.pageH - marginMm / 2,
+            { align: 'center', baseline: 'middle' }
+        );
+    }
+}
+
+// Numbered swatches with names and mixing recipes; continues onto more pages
+function drawLegendPages(doc, result, plan, { marginMm }) {
+    const entries = legendEntries(result);
+    const rowHeight = entries.some(e => e.recipe) ? 14 : 10;
+    const swatch = 7;
+    let y = Infinity;
+
+    for (const entry of entries) {
+        if (y + rowHeight > plan.pageH - marginMm) {
+            doc.addPage([plan.pageW, plan.pageH], plan.orientation);
+            doc.setFontSize(16);
+            doc.setTextColor(15, 23, 42);
+            doc.text('Color Legend', marginMm, marginMm + 4, { baseline: 'middle' });
+            y = marginMm + 12;
+        }
+
+        const [r, g, b] = parseHex(entry.hex) || [0, 0, 0];
+        doc.setFillColor(r, g, b);
+        doc.setDrawColor(148, 163, 184);
+        doc.setLineWidth(0.2);
+        doc.rect(marginMm, y, swatch, swatch, 'FD');
+
+        doc.setFontSize(11);
+        doc.setTextColor(15, 23, 42);
+        doc.text(`${entry.number}.  ${pdfText(entry.text)}`, marginMm + swatch + 4, y + swatch / 2, { baseline: 'middle' });
+
+        if (entry.recipe) {
+            doc.setFontSize(8);
+            doc.setTextColor(100, 116, 139);
+            doc.text(pdfText(entry.recipe), marginMm + swatch + 4, y + swatch + 2.5, { baseline: 'middle' });
+        }
+
+        y += rowHeight;
+    }
+}
+
+// The whole template filled with its palette colors, scaled to one page
+function drawPreviewPage(doc, result, plan, { marginMm }) {
+    const { width, height, topology } = result;
+    const entries = legendEntries(result);
+    const titleSpace = 10;
+    const scale = Math.min(plan.printW / width, (plan.printH - titleSpace) / height);
+    const ox = marginMm + (plan.printW - width * scale) / 2;
+    const oy = marginMm + titleSpace;
+
+    doc.setFontSize(16);
+    doc.setTextColor(15, 23, 42);
+    doc.text('Color Preview', marginMm, marginMm + 4, { baseline: 'middle' });
+
+    for (const geometry of topology.objects.regions.geometries) {
+        const [r, g, b] = parseHex(entries[geometry.properties.colorIndex].hex) || [0, 0, 0];
+        doc.setFillColor(r, g, b);
+        for (const ring of geometry.arcs) {
+            const coords = ringCoords(topology.arcs, ring);
+            doc.moveTo(ox + coords[0][0] * scale, oy + coords[0][1] * scale);
+            for (let k = 1; k < coords.length; k++) doc.lineTo(ox + coords[k][0] * scale, oy + coords[k][1] * scale);
+            doc.close();
+        }
+        // Holes are separate rings of the same path
+        doc.fillEvenOdd();
+    }
+}
+
+// Corner marks just outside the trim box, `gap` mm away and `length` mm long
+function drawCropMarks(doc, x, y, w, h, { gap: g, length: l }) {
+    doc.setDrawColor(0, 0, 0);
+    doc.setLineWidth(0.1);
+    for (const [cx, cy, sx, sy] of [[x, y, -1, -1], [x + w, y, 1, -1], [x, y + h, -1, 1], [x + w, y + h, 1, 1]]) {
+        doc.line(cx + sx * g, cy, cx + sx * (g + l), cy);
+        doc.line(cx, cy + sy * g, cx, cy + sy * (g + l));
+    }
+}
+
+// Helper: Bounding box of a coordinate list
+function bounds(coords) {
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    for (const [x, y] of coords) {
+        if (x < x0) x0 = x;
+        if (y < y0) y0 = y;
+        if (x > x1) x1 = x;
+        if (y > y1) y1 = y;
+    }
+    return { x0, y0, x1, y1 };
+}
+
+function intersects(a, b) {
+    return a.x0 <= b.x1 && a.x1 >= b.x0 && a.y0 <= b.y1 && a.y1 >= b.y0;
+}
+
+// The standard PDF fonts only cover WinAnsi; spell out what they can't draw
+function pdfText(str) {
+    return String(str).replace(/Δ/g, 'd');
+}
@@ -0,0 +1,94 @@
+// Page layout for printed templates: sheet sizes and tiling.
+// Kept free of the PDF library so the UI can preview page counts cheaply.
+
+// Portrait sheet sizes in mm
+export const PAGE_SIZES = {
+    A4: [210, 297],
+    A3: [297, 420],
+    Letter: [215.9, 279.4]
+};
+
+const MM_PER_INCH = 25.4;
+
+// Accepted template resolution range
+export const MIN_DPI = 36;
+export const MAX_DPI = 600;
+
+// Crop marks: gap from the trim box and full length, in mm. Marks are
+// shortened to fit narrower margins and left out below the minimum length.
+const CROP_MARK_GAP = 2;
+const CROP_MARK_LENGTH = 5;
+const MIN_CROP_MARK_LENGTH = 2;
+
+export const DEFAULT_PDF_OPTIONS = {
+    pageSize: 'A4',
+    dpi: 150, // Template pixels per printed inch
+    marginMm: 10,
+    overlapMm: 10, // Shared strip between neighbouring tiles, for gluing
+    cropMarks: true
+};
+
+/**
+ * Work out how the template splits into pages.
+ * Returns { orientation, pageW, pageH, printW, printH, mmPerPx, cols, rows, tiles }
+ * where each tile is { col, row, offsetX, offsetY } in mm from the template's
+ * top-left corner. Picks the orientation that needs the fewest sheets.
+ */
+export function planTiles(result, options = {}) {
+    const { pageSize, dpi, marginMm, overlapMm } = { ...DEFAULT_PDF_OPTIONS, ...options };
+    const margin = result.margin || 0;
+    const mmPerPx = MM_PER_INCH / dpi;
+    const templateW = (result.width + margin * 2) * mmPerPx;
+    const templateH = (result.height + margin * 2) * mmPerPx;
+    const [shortSide, longSide] = PAGE_SIZES[pageSize] || PAGE_SIZES.A4;
+
+    const countTiles = (length, printable) => {
+        if (length <= printable) return 1;
+        return Math.ceil((length - overlapMm) / (printable - overlapMm));
+    };
+
+    const plans = ['portrait', 'landscape'].map(orientation => {
+        const pageW = orientation === 'portrait' ? shortSide : longSide;
+        const pageH = orientation === 'portrait' ? longSide : shortSide;
+        const printW = pageW - marginMm * 2;
+        const printH = pageH - marginMm * 2;
+        const cols = countTiles(templateW, printW);
+        const rows = countTiles(templateH, printH);
+        return { orientation, pageW, pageH, printW, printH, cols, rows };
+    });
+
+    const plan = plans[0].cols * plans[0].rows <= plans[1].cols * plans[1].rows ? plans[0] : plans[1];
+
+    const tiles = [];
+    for (let row = 0; row < plan.rows; row++) {
+        for (let col = 0; col < plan.cols; col++) {
+            tiles.push({
+                col,
+                row,
+                offsetX: col * (plan.printW - overlapMm),
+                offsetY: row * (plan.printH - overlapMm)
+            });
+        }
+    }
+
+    return { ...plan, mmPerPx, templateW, templateH, tiles };
+}
+
+// Helper: DPI typed by the user, clamped to [MIN_DPI, MAX_DPI] (default if not a number)
+export function clampDpi(value) {
+    const dpi = parseInt(value, 10);
+    if (!Number.isFinite(dpi)) return DEFAULT_PDF_OPTIONS.dpi;
+    return Math.min(MAX_DPI, Math.max(MIN_DPI, dpi));
+}
+
+/**
+ * Where crop marks go in a margin of `marginMm`: { gap, length } in mm from
+ * the trim box, or null when the margin is too narrow to hold them.
+ */
+export function cropMarkSize(marginMm) {
+    const length = Math.min(CROP_MARK_LENGTH, marginMm - CROP_MARK_GAP);
+    return length >= MIN_CROP_MARK_LENGTH ? { gap: CROP_MARK_GAP, length } : null;
+}
+
+// Narrowest margin that still gets crop marks
+export const MIN_CROP_MARK_MARGIN = CROP_MARK_GAP + MIN_CROP_MARK_LENGTH;
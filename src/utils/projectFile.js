@@ -0,0 +1,148 @@
+// Project files: one zip holding everything needed to pick a template up
+// again. project.json carries the settings, seed, palette (with names and
+// edits) and the result's topology and numbers; the source image and the big
+// per-pixel arrays sit next to it as binary entries.
+//
+// Every file records PROJECT_VERSION. Older files are brought up to date by
+// MIGRATIONS, one version step at a time, so they keep opening after the
+// pipeline changes.
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { buildOutlines } from '../pipeline/simplify.js';
+import { labelRegions } from '../pipeline/topology.js';
+import { toColorIndices, buildRegionTable } from '../pipeline/regions.js';
+import { templateMetrics } from '../pipeline/metrics.js';
+
+export const PROJECT_VERSION = 2;
+export const PROJECT_EXTENSION = '.pbn';
+
+// version => function turning a project of that version into version + 1
+const MIGRATIONS = {
+    // Labels were always Int32Array before they were sized to the palette
+    1: (project) => ({
+        ...project,
+        result: project.result && { ...project.result, labelBytes: 4 }
+    })
+};
+
+// Result fields rebuilt on load or stored as binary entries instead of JSON
+const DERIVED_FIELDS = ['labels', 'edited', 'outlines', 'regionIds', 'regions', 'metrics'];
+
+// Bytes per label => array type to read labels.bin as
+const LABEL_TYPES = { 1: Uint8Array, 2: Uint16Array, 4: Uint32Array };
+
+// Helper: File extension for the source image
+function sourceExtension(type) {
+    const ext = (type || '').split('/')[1];
+    return ext ? ext.replace('jpeg', 'jpg').replace('+xml', '') : 'bin';
+}
+
+// Helper: Raw bytes of a typed array, for a zip entry
+function bytesOf(array) {
+    return new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+}
+
+/**
+ * Pack a project into a zip Blob.
+ * { id, name, source: Blob, state: { settings, paintListText, seed,
+ *   seedLocked, sourceTransform, palette }, result, detailMask }
+ */
+export async function writeProject({ id, name, source, state, result = null, detailMask = null }) {
+    const sourceFile = `source.${sourceExtension(source.type)}`;
+    const files = {
+        [sourceFile]: [new Uint8Array(await source.arrayBuffer()), { level: 0 }] // Already compressed
+    };
+
+    const project = {
+        version: PROJECT_VERSION,
+        id,
+        name,
+        savedAt: new Date().toISOString(),
+        source: { file: sourceFile, type: source.type },
+        ...state,
+        detailMask: null,
+        result: null
+    };
+
+    if (detailMask) {
+        files['detail-mask.bin'] = detailMask.data;
+        project.detailMask = { width: detailMask.width, height: detailMask.height, file: 'detail-mask.bin' };
+    }
+
+    if (result) {
+        const meta = Object.fromEntries(Object.entries(result).filter(([key]) => !DERIVED_FIELDS.includes(key)));
+        files['labels.bin'] = bytesOf(result.labels);
+        if (result.edited) files['edited.bin'] = result.edited;
+        project.result = {
+            ...meta,
+            labels: 'labels.bin',
+            labelBytes: result.labels.BYTES_PER_ELEMENT,
+            edited: result.edited ? 'edited.bin' : null
+        };
+    }
+
+    files['project.json'] = strToU8(JSON.stringify(project));
+    return new Blob([zipSync(files)], { type: 'application/zip' });
+}
+
+/**
+ * Unpack a project file. Returns { project, source: Blob, result, detailMask },
+ * with `result` ready to show (outlines rebuilt) or null if none was saved.
+ * Throws for files that aren't projects or come from a newer version.
+ */
+export async function readProject(blob) {
+    let files;
+    try {
+        files = unzipSync(new Uint8Array(await blob.arrayBuffer()));
+    } catch {
+        throw new Error('Not a project file');
+    }
+    if (!files['project.json']) throw new Error('Not a project file');
+
+    let project;
+    try {
+        project = JSON.parse(strFromU8(files['project.json']));
+    } catch {
+        throw new Error('Not a project file');
+    }
+    if (!Number.isInteger(project.version) || project.version < 1) {
+        throw new Error('The project file has no valid version');
+    }
+    if (project.version > PROJECT_VERSION) {
+        throw new Error('This project was saved by a newer version of the app');
+    }
+    for (let v = project.version; v < PROJECT_VERSION; v++) {
+        if (!MIGRATIONS[v]) throw new Error(`Projects from version ${v} can't be opened any more`);
+    }
+    while (project.version < PROJECT_VERSION) {
+        project = { ...MIGRATIONS[project.version](project), version: project.version + 1 };
+    }
+
+    const sourceBytes = files[project.source.file];
+    if (!sourceBytes) throw new Error('The project file is missing its source image');
+    const source = new Blob([sourceBytes], { type: project.source.type });
+
+    const detailMask = project.detailMask && files[project.detailMask.file]
+        ? { width: project.detailMask.width, height: project.detailMask.height, data: files[project.detailMask.file] }
+        : null;
+
+    let result = null;
+    if (project.result && files[project.result.labels]) {
+        const { labels: labelsFile, labelBytes, edited: editedFile, ...meta } = project.result;
+        const bytes = files[labelsFile];
+        const Type = LABEL_TYPES[labelBytes];
+        if (!Type) throw new Error('The project file has labels in an unknown format');
+        const stored = new Type(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+        const labels = toColorIndices(stored, meta.palette.length);
+        result = {
+            ...meta,
+            labels,
+            ...(editedFile && files[editedFile] ? { edited: files[editedFile] } : {}),
+            regionIds: labelRegions(labels, meta.width, meta.height).regionIds,
+            regions: buildRegionTable(meta.topology, meta.numbers),
+            ...buildOutlines(meta.topology, meta.width, meta.height, meta.outlineStyle)
+        };
+        result.metrics = templateMetrics(result);
+    }
+
+    return { project, source, result, detailMask };
+}
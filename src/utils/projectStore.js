@@ -0,0 +1,65 @@
+// Recent projects, auto-saved to IndexedDB as project file Blobs (see
+// projectFile.js) so a reload or "Start Over" doesn't lose the work.
+
+const DB_NAME = 'paint-by-numbers';
+const DB_VERSION = 1;
+const STORE = 'projects';
+
+// Older projects beyond this are dropped on save
+const RECENT_LIMIT = 6;
+
+// Helper: Promise for an IDBRequest
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            req.result.createObjectStore(STORE, { keyPath: 'id' });
+        };
+        dbPromise = request(req).catch(err => {
+            dbPromise = null;
+            throw err;
+        });
+    }
+    return dbPromise;
+}
+
+async function store(mode) {
+    const db = await openDb();
+    return db.transaction(STORE, mode).objectStore(STORE);
+}
+
+// Save (or overwrite) a project, then prune the oldest beyond RECENT_LIMIT
+export async function saveRecentProject({ id, name, blob }) {
+    await request((await store('readwrite')).put({ id, name, savedAt: Date.now(), blob }));
+
+    const all = await request((await store('readonly')).getAll());
+    const stale = all.sort((a, b) => b.savedAt - a.savedAt).slice(RECENT_LIMIT);
+    for (const entry of stale) await deleteRecentProject(entry.id);
+}
+
+// { id, name, savedAt, size } per project, newest first
+export async function listRecentProjects() {
+    const all = await request((await store('readonly')).getAll());
+    return all
+        .sort((a, b) => b.savedAt - a.savedAt)
+        .map(({ id, name, savedAt, blob }) => ({ id, name, savedAt, size: blob.size }));
+}
+
+// The project file Blob, or null if it's gone
+export async function loadRecentProject(id) {
+    const entry = await request((await store('readonly')).get(id));
+    return entry ? entry.blob : null;
+}
+
+export async function deleteRecentProject(id) {
+    await request((await store('readwrite')).delete(id));
+}
@@ -0,0 +1,55 @@
+// SVG export of a template: outlines, numbers and the palette legend
+import { legendEntries, legendLayout, escapeXml } from './legend.js';
+
+/**
+ * The printable template as an SVG document string, legend underneath.
+ * Works on preview and final results alike.
+ */
+export function buildTemplateSvg(result) {
+    const { width, height, outlines, numbers } = result;
+    const margin = result.margin || 0;
+    const fullWidth = width + margin * 2;
+    const entries = legendEntries(result);
+    const withRecipes = entries.some(e => e.recipe);
+    const layout = legendLayout(entries.length, fullWidth, { withRecipes });
+    const totalHeight = height + margin * 2 + layout.height;
+
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${-margin} ${-margin} ${fullWidth} ${totalHeight}" width="${fullWidth}" height="${totalHeight}">
+    <style>
+      path { fill: none; stroke: #94a3b8; stroke-width: 1px; vector-effect: non-scaling-stroke; }
+      text { font-family: sans-serif; font-size: 10px; fill: #334155; text-anchor: middle; dominant-baseline: middle; }
+      .leader { stroke: #64748b; stroke-width: 0.5px; }
+      #legend text { font-size: 12px; text-anchor: start; }
+      #legend rect { stroke: #94a3b8; stroke-width: 1px; }
+      #legend .recipe { font-size: 10px; fill: #64748b; }
+    </style>
+    <rect x="${-margin}" y="${-margin}" width="100%" height="100%" fill="white"/>
+    <g id="outlines">`;
+
+    outlines.forEach(o => {
+        svg += `<path d="${o.path}" />`;
+    });
+
+    svg += `</g><g id="numbers">`;
+
+    numbers.forEach(n => {
+        if (n.leader) {
+            svg += `<line class="leader" x1="${n.leader.x}" y1="${n.leader.y}" x2="${n.x}" y2="${n.y}" />`;
+        }
+        svg += `<text x="${n.x}" y="${n.y}" style="font-size: ${n.fontSize || 10}px">${n.label}</text>`;
+    });
+
+    svg += `</g><g id="legend" transform="translate(${-margin} ${height + margin})">`;
+
+    entries.forEach((entry, i) => {
+        const { x, y } = layout.position(i);
+        svg += `<rect x="${x}" y="${y + 3}" width="16" height="16" fill="${entry.hex}" />`;
+        svg += `<text x="${x + 22}" y="${y + 11}">${entry.number}. ${escapeXml(entry.text)}</text>`;
+        if (entry.recipe) {
+            svg += `<text class="recipe" x="${x + 22}" y="${y + 26}">${escapeXml(entry.recipe)}</text>`;
+        }
+    });
+
+    svg += `</g></svg>`;
+    return svg;
+}
@@ -0,0 +1,99 @@
+// Job bookkeeping for the image worker.
+//
+// Every request carries a jobId and every reply echoes it. Only one job runs
+// at a time: starting a new one (or a CANCEL) flags the current one, and it
+// stops at its next checkpoint. Checkpoints also hand control back to the
+// event loop now and then, which is what lets CANCEL messages get through.
+
+// How long a stage may run before yielding to the event loop
+const YIELD_INTERVAL_MS = 30;
+// Minimum gap between PROGRESS messages
+const PROGRESS_INTERVAL_MS = 50;
+
+export class JobCancelledError extends Error {
+    constructor(jobId) {
+        super(`Job ${jobId} was cancelled`);
+        this.name = 'JobCancelledError';
+        this.jobId = jobId;
+    }
+}
+
+let activeJob = null;
+
+// Helper: Let queued messages (e.g. CANCEL) run before continuing
+function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+class Job {
+    constructor(id, post) {
+        this.id = id;
+        this.postFn = post;
+        this.cancelled = false;
+        this.range = [0, 100];
+        this.lastYield = performance.now();
+        this.lastProgress = 0;
+    }
+
+    post(message) {
+        this.postFn({ ...message, jobId: this.id });
+    }
+
+    status(status) {
+        this.post({ type: 'STATUS', status });
+    }
+
+    /**
+     * Enter a pipeline stage that covers progress `from`..`to` (percent).
+     * Fractions passed to `checkpoint` are mapped into that range.
+     */
+    stage(status, from, to) {
+        this.range = [from, to];
+        this.status(status);
+        this.post({ type: 'PROGRESS', progress: from });
+        this.lastProgress = performance.now();
+    }
+
+    report(fraction) {
+        const now = performance.now();
+        if (now - this.lastProgress < PROGRESS_INTERVAL_MS) return;
+        this.lastProgress = now;
+
+        const [from, to] = this.range;
+        const clamped = Math.max(0, Math.min(1, fraction));
+        this.post({ type: 'PROGRESS', progress: Math.round(from + clamped * (to - from)) });
+    }
+
+    /**
+     * Report progress within the current stage, yield if this stage has been
+     * busy for a while, and throw JobCancelledError if the job was cancelled.
+     */
+    async checkpoint(fraction) {
+        if (fraction !== undefined) this.report(fraction);
+
+        if (performance.now() - this.lastYield >= YIELD_INTERVAL_MS) {
+            await yieldToEventLoop();
+            this.lastYield = performance.now();
+        }
+
+        if (this.cancelled) throw new JobCancelledError(this.id);
+    }
+}
+
+// Start a job, cancelling whatever was running before
+export function startJob(jobId, post) {
+    if (activeJob) activeJob.cancelled = true;
+    activeJob = new Job(jobId, post);
+    return activeJob;
+}
+
+// Cancel the running job if it is `jobId` (or any job when jobId is omitted)
+export function cancelJob(jobId) {
+    if (activeJob && (jobId === undefined || activeJob.id === jobId)) {
+        activeJob.cancelled = true;
+    }
+}
+
+export function finishJob(job) {
+    if (activeJob === job) activeJob = null;
+}
@@ -0,0 +1,36 @@
+// Color difference formulas against published reference values
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deltaE76, deltaE94, deltaE2000 } from '../src/utils/color.js';
+
+// Pairs from Sharma, Wu & Dalal, "The CIEDE2000 Color-Difference Formula:
+// Implementation Notes, Supplementary Test Data, and Mathematical Observations"
+const CIEDE2000_PAIRS = [
+    [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+    [[50, -1.3802, -84.2814], [50, 0, -82.7485], 1.0000],
+    [[50, 0, 0], [50, -1, 2], 2.3669],
+    [[50, 2.5, 0], [50, 0, -2.5], 4.3065],
+    [[50, 2.5, 0], [73, 25, -18], 27.1492],
+    [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+    [[22.7233, 20.0904, -46.694], [23.0331, 14.973, -42.5619], 2.0373],
+    [[2.0776, 0.0795, -1.135], [0.9033, -0.0636, -0.5514], 0.9082]
+];
+
+test('CIEDE2000 matches the reference data', () => {
+    for (const [a, b, expected] of CIEDE2000_PAIRS) {
+        assert.ok(Math.abs(deltaE2000(a, b) - expected) < 1e-4, `${a} / ${b}: ${deltaE2000(a, b)} vs ${expected}`);
+        assert.ok(Math.abs(deltaE2000(b, a) - expected) < 1e-4, 'CIEDE2000 is symmetric for these pairs');
+    }
+});
+
+test('CIE94 equals CIE76 for pure lightness differences', () => {
+    assert.ok(Math.abs(deltaE94([40, 0, 0], [55, 0, 0]) - deltaE76([40, 0, 0], [55, 0, 0])) < 1e-9);
+    assert.equal(deltaE94([50, 10, 10], [50, 10, 10]), 0);
+});
+
+test('a larger kL makes lightness differences count less', () => {
+    const a = [40, 20, 10];
+    const b = [60, 20, 10];
+    assert.ok(deltaE2000(a, b, 2) < deltaE2000(a, b));
+    assert.ok(deltaE94(a, b, 2) < deltaE94(a, b));
+});
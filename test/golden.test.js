@@ -0,0 +1,40 @@
+// SVG and JSON output compared against the files in test/golden. After an
+// intended change to the output, refresh them with `npm run test:update`
+// and review the diff.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { SYNTHETIC, GOLDEN_DIR, loadFixtures, runPipeline, goldenJson } from './helpers.js';
+import { buildTemplateSvg } from '../src/utils/svgExport.js';
+
+// `node test/golden.test.js --update` (npm run test:update) rewrites the files
+const UPDATE = process.argv.includes('--update');
+
+const fixture = (name) => loadFixtures().find(f => f.name === name).imageData;
+
+const CASES = {
+    'stripes': [() => SYNTHETIC.stripes(), { kColors: 3 }],
+    'circles': [() => SYNTHETIC.circles(), { kColors: 3 }],
+    'circles-smooth': [() => SYNTHETIC.circles(), { kColors: 3, outlines: { tolerance: 1.5, smooth: true } }],
+    'sunset': [() => fixture('sunset.png'), {}],
+    'fruit-superpixel': [() => fixture('fruit.png'), { segmentation: 'superpixel', superpixels: { size: 8 } }]
+};
+
+// Helper: Compare with (or, when updating, write) one golden file
+function matchGolden(file, actual) {
+    const path = GOLDEN_DIR + file;
+    if (UPDATE) {
+        writeFileSync(path, actual);
+        return;
+    }
+    assert.ok(existsSync(path), `${file} is missing; run npm run test:update`);
+    assert.equal(actual, readFileSync(path, 'utf8'), `${file} differs from the golden file`);
+}
+
+for (const [name, [image, settings]] of Object.entries(CASES)) {
+    test(`${name} matches the golden SVG and JSON`, async () => {
+        const result = await runPipeline(image(), settings);
+        matchGolden(`${name}.svg`, buildTemplateSvg(result) + '\n');
+        matchGolden(`${name}.json`, goldenJson(result));
+    });
+}
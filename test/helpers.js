@@ -0,0 +1,215 @@
+// Shared pieces for the pipeline tests: synthetic images, fixture loading,
+// a seeded pipeline run and the properties every result must have.
+import { readFileSync, readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { PNG } from 'pngjs';
+import { processImage } from '../src/pipeline/process.js';
+import { labelRegions } from '../src/pipeline/topology.js';
+import { colorIndexType } from '../src/pipeline/regions.js';
+
+// Every run uses this seed, so results (and golden files) are repeatable
+export const SEED = 1234;
+
+export const FIXTURE_DIR = fileURLToPath(new URL('./fixtures/', import.meta.url));
+export const GOLDEN_DIR = fileURLToPath(new URL('./golden/', import.meta.url));
+
+// Small settings so the suite stays fast
+export const BASE_SETTINGS = {
+    kColors: 6,
+    minRegionSize: 12,
+    maxIterations: 10,
+    paletteMode: 'kmeans',
+    paints: [],
+    outlines: { tolerance: 1, smooth: false },
+    seed: SEED
+};
+
+// Helper: RGBA image from a (x, y) => [r, g, b] function
+export function makeImage(width, height, colorAt) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [r, g, b] = colorAt(x, y);
+            const o = (y * width + x) * 4;
+            data[o] = r;
+            data[o + 1] = g;
+            data[o + 2] = b;
+            data[o + 3] = 255;
+        }
+    }
+    return { width, height, data };
+}
+
+// Synthetic images with known structure, by name
+export const SYNTHETIC = {
+    stripes: () => makeImage(96, 32, (x) => (Math.floor(x / 16) % 3 === 0 ? [220, 40, 40] : Math.floor(x / 16) % 3 === 1 ? [40, 160, 60] : [30, 60, 200])),
+    checkerboard: () => makeImage(48, 48, (x, y) => ((Math.floor(x / 12) + Math.floor(y / 12)) % 2 ? [250, 250, 250] : [20, 20, 20])),
+    gradient: () => makeImage(64, 24, (x) => [Math.round(x * 4), 90, Math.round(255 - x * 4)]),
+    circles: () => makeImage(56, 40, (x, y) => {
+        if ((x - 16) ** 2 + (y - 20) ** 2 < 100) return [240, 200, 40];
+        if ((x - 40) ** 2 + (y - 20) ** 2 < 64) return [140, 40, 160];
+        return [200, 220, 235];
+    }),
+    // Single pixels of noise that speck cleanup has to remove
+    speckled: () => makeImage(40, 40, (x, y) => ((x * 7 + y * 13) % 29 === 0 ? [0, 0, 0] : y < 20 ? [90, 160, 220] : [230, 180, 120]))
+};
+
+// Every PNG in test/fixtures, as { name, imageData }
+export function loadFixtures() {
+    return readdirSync(FIXTURE_DIR)
+        .filter(name => name.endsWith('.png'))
+        .sort()
+        .map(name => {
+            const png = PNG.sync.read(readFileSync(FIXTURE_DIR + name));
+            return {
+                name,
+                imageData: { width: png.width, height: png.height, data: new Uint8ClampedArray(png.data) }
+            };
+        });
+}
+
+export function runPipeline(imageData, settings = {}) {
+    return processImage({ imageData, settings: { ...BASE_SETTINGS, ...settings } });
+}
+
+/**
+ * Problems with a result, as readable strings (empty when it's fine):
+ * labels cover every pixel with a palette index, each region carries exactly
+ * one number whose spot lies inside it (leader-line numbers are counted as
+ * unlabeled in the validation report), no region is under minRegionSize,
+ * the region ID map and region table agree with the labels, and the
+ * metrics describe those regions.
+ */
+export function checkResult(result, { minRegionSize }) {
+    const problems = [];
+    const { width, height, labels, palette, numbers } = result;
+
+    if (!(labels instanceof colorIndexType(palette.length))) {
+        problems.push(`labels is a ${labels.constructor.name} for ${palette.length} colors`);
+    }
+    if (labels.length !== width * height) {
+        problems.push(`labels has ${labels.length} entries for ${width * height} pixels`);
+        return problems;
+    }
+    for (let i = 0; i < labels.length; i++) {
+        if (!Number.isInteger(labels[i]) || labels[i] < 0 || labels[i] >= palette.length) {
+            problems.push(`pixel ${i} has palette index ${labels[i]} (palette size ${palette.length})`);
+            break;
+        }
+    }
+
+    const { regionIds, regionColors, regionAreas } = labelRegions(labels, width, height);
+    const perRegion = new Array(regionColors.length).fill(0);
+    for (const n of numbers) {
+        if (n.regionId < 0 || n.regionId >= regionColors.length) {
+            problems.push(`number "${n.label}" points at missing region ${n.regionId}`);
+            continue;
+        }
+        perRegion[n.regionId]++;
+
+        // Leader-line numbers sit in the margin; their anchor is the spot
+        const at = n.leader || n;
+        const x = Math.min(width - 1, Math.max(0, Math.floor(at.x)));
+        const y = Math.min(height - 1, Math.max(0, Math.floor(at.y)));
+        if (regionIds[y * width + x] !== n.regionId) {
+            problems.push(`number for region ${n.regionId} sits in region ${regionIds[y * width + x]}`);
+        }
+        if (String(n.label) !== String(regionColors[n.regionId] + 1)) {
+            problems.push(`region ${n.regionId} is color ${regionColors[n.regionId] + 1} but numbered "${n.label}"`);
+        }
+    }
+    perRegion.forEach((count, r) => {
+        if (count !== 1) problems.push(`region ${r} has ${count} numbers`);
+    });
+
+    // The report counts every number that had to leave its region
+    const outside = numbers.filter(n => n.leader).length;
+    if (result.validation && result.validation.unlabeled !== outside) {
+        problems.push(`validation reports ${result.validation.unlabeled} unlabeled regions, ${outside} numbers have a leader line`);
+    }
+
+    // Only a region that fills the whole image may be smaller
+    if (regionAreas.length > 1) {
+        regionAreas.forEach((area, r) => {
+            if (area < minRegionSize) problems.push(`region ${r} has ${area} px, under the minimum of ${minRegionSize}`);
+        });
+    }
+
+    problems.push(...checkRegionTable(result, regionIds, regionColors, regionAreas));
+    problems.push(...checkMetrics(result, regionAreas, regionColors));
+    return problems;
+}
+
+// The metrics against the regions found from the labels
+function checkMetrics({ metrics, numbers }, regionAreas, regionColors) {
+    if (!metrics) return ['result has no metrics'];
+    const problems = [];
+    const expected = {
+        regions: regionAreas.length,
+        smallestArea: Math.min(...regionAreas),
+        paints: new Set(regionColors).size,
+        level: metrics.difficulty >= 65 ? 'expert' : metrics.difficulty >= 40 ? 'intermediate' : 'beginner'
+    };
+    for (const [key, value] of Object.entries(expected)) {
+        if (metrics[key] !== value) problems.push(`metrics.${key} is ${metrics[key]}, expected ${value}`);
+    }
+    if (!(metrics.medianArea >= expected.smallestArea)) problems.push(`metrics.medianArea ${metrics.medianArea} is under the smallest area`);
+    if (!(metrics.outlineLength >= 0) || (regionAreas.length > 1 && metrics.outlineLength === 0)) {
+        problems.push(`metrics.outlineLength is ${metrics.outlineLength} for ${regionAreas.length} regions`);
+    }
+    if (!(metrics.numberDensity > 0) || numbers.length === 0) problems.push(`metrics.numberDensity is ${metrics.numberDensity}`);
+    if (!(metrics.difficulty >= 0 && metrics.difficulty <= 100)) problems.push(`metrics.difficulty is ${metrics.difficulty}`);
+    return problems;
+}
+
+// The region ID map and table against regions found from the labels
+function checkRegionTable({ regionIds: resultIds, regions, width }, regionIds, regionColors, regionAreas) {
+    const problems = [];
+    if (!(resultIds instanceof Int32Array) || resultIds.length !== regionIds.length) {
+        return ['regionIds is not an Int32Array with one entry per pixel'];
+    }
+    for (let i = 0; i < regionIds.length; i++) {
+        if (resultIds[i] !== regionIds[i]) {
+            problems.push(`pixel ${i} is in region ${resultIds[i]}, expected ${regionIds[i]}`);
+            break;
+        }
+    }
+    if (regions.length !== regionColors.length) {
+        return [...problems, `region table has ${regions.length} entries for ${regionColors.length} regions`];
+    }
+
+    // Boxes from the pixels, to compare with the table's
+    const boxes = regionColors.map(() => ({ x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity }));
+    regionIds.forEach((r, i) => {
+        const x = i % width;
+        const y = (i - x) / width;
+        const box = boxes[r];
+        box.x0 = Math.min(box.x0, x);
+        box.y0 = Math.min(box.y0, y);
+        box.x1 = Math.max(box.x1, x + 1);
+        box.y1 = Math.max(box.y1, y + 1);
+    });
+
+    regions.forEach((region, r) => {
+        if (region.id !== r) problems.push(`region table entry ${r} has id ${region.id}`);
+        if (region.color !== regionColors[r]) problems.push(`region ${r} has color ${region.color}, expected ${regionColors[r]}`);
+        if (region.area !== regionAreas[r]) problems.push(`region ${r} has area ${region.area}, expected ${regionAreas[r]}`);
+        for (const key of ['x0', 'y0', 'x1', 'y1']) {
+            if (region.bbox[key] !== boxes[r][key]) problems.push(`region ${r} bbox.${key} is ${region.bbox[key]}, expected ${boxes[r][key]}`);
+        }
+        for (const n of region.neighbors) {
+            if (!regions[n] || !regions[n].neighbors.includes(r)) problems.push(`region ${r} lists ${n} as a neighbour but not the other way round`);
+        }
+        if (!region.label) problems.push(`region ${r} has no label position`);
+    });
+    return problems;
+}
+
+// Helper: Result as stable JSON for golden files (per-pixel arrays left out,
+// numbers rounded so float noise across platforms doesn't matter)
+export function goldenJson(result) {
+    const { labels, edited, outlines, regionIds, ...rest } = result;
+    return JSON.stringify(rest, (key, value) => (
+        typeof value === 'number' && !Number.isInteger(value) ? Math.round(value * 1000) / 1000 : value
+    ), 2) + '\n';
+}
@@ -0,0 +1,264 @@
+// Properties every template must have, on synthetic images and the fixtures
+// in test/fixtures, across the main pipeline settings.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SEED, SYNTHETIC, BASE_SETTINGS, makeImage, loadFixtures, runPipeline, checkResult } from './helpers.js';
+import { processImage, processPreset, suggestColorCount } from '../src/pipeline/process.js';
+import { MAX_COLORS } from '../src/pipeline/regions.js';
+import { paletteSpread } from '../src/pipeline/colorDistance.js';
+import { scoreColorCounts } from '../src/pipeline/autoColors.js';
+import { DIFFICULTY_PRESETS, REGION_SIZE_SLIDER, adjustForTarget, difficultyLevel } from '../src/pipeline/metrics.js';
+import { mergeWithNeighbor, paintStroke } from '../src/pipeline/edit.js';
+import { rgb2lab } from '../src/utils/color.js';
+import { parsePaintList, DEFAULT_PAINT_LIST } from '../src/utils/paints.js';
+
+const IMAGES = [
+    ...Object.entries(SYNTHETIC).map(([name, make]) => ({ name, imageData: make() })),
+    ...loadFixtures()
+];
+
+const VARIANTS = {
+    'pixel': {},
+    'large specks': { minRegionSize: 40 },
+    'superpixel': { segmentation: 'superpixel', superpixels: { size: 8 } },
+    'fixed palette': { paletteMode: 'fixed', paints: parsePaintList(DEFAULT_PAINT_LIST).paints },
+    'pre-processed': { preprocess: { smoothing: 1, posterize: 6 } },
+    'CIEDE2000': { colorDistance: { metric: 'ciede2000' } },
+    'weighted CIE94': { colorDistance: { metric: 'cie94', lightnessWeight: 0.5, chromaWeight: 2 } },
+    'saliency': { saliency: 1 }
+};
+
+for (const [variant, settings] of Object.entries(VARIANTS)) {
+    for (const { name, imageData } of IMAGES) {
+        test(`${name} (${variant}) gives a valid template`, async () => {
+            const result = await runPipeline(imageData, settings);
+            assert.deepEqual(checkResult(result, { ...BASE_SETTINGS, ...settings }), []);
+        });
+    }
+}
+
+test('photo fixtures keep several regions', async () => {
+    // A fixture that collapses to one region makes its template checks vacuous
+    for (const { name, imageData } of loadFixtures()) {
+        const result = await runPipeline(imageData);
+        assert.ok(result.numbers.length >= 3, `${name} gives ${result.numbers.length} regions`);
+    }
+});
+
+test('the same seed gives the same result', async () => {
+    const imageData = loadFixtures()[0].imageData;
+    const a = await runPipeline(imageData);
+    const b = await runPipeline(imageData);
+    assert.equal(a.seed, b.seed);
+    assert.deepEqual(a.palette, b.palette);
+    assert.deepEqual(a.labels, b.labels);
+});
+
+test('stripes keep their three colors and regions', async () => {
+    const result = await runPipeline(SYNTHETIC.stripes(), { kColors: 3 });
+    assert.equal(result.palette.length, 3);
+    assert.equal(result.numbers.length, 6);
+});
+
+test('speck cleanup removes single-pixel noise', async () => {
+    const result = await runPipeline(SYNTHETIC.speckled(), { kColors: 3 });
+    assert.equal(result.numbers.length, 2);
+});
+
+test('numbers that do not fit are reported as unlabeled', async () => {
+    // No stripe (and not the whole image) can hold a 40 px number
+    const result = await runPipeline(SYNTHETIC.stripes(), { kColors: 3, minFontSize: 40, maxFontSize: 40 });
+    assert.equal(result.validation.cramped, 1);
+    assert.equal(result.validation.unlabeled, 1);
+    assert.ok(result.numbers[0].leader);
+});
+
+test('the property check catches a broken result', async () => {
+    const result = await runPipeline(SYNTHETIC.circles());
+    const labels = result.labels.slice();
+    labels[0] = result.palette.length;
+    assert.notDeepEqual(checkResult({ ...result, labels }, BASE_SETTINGS), []);
+    assert.notDeepEqual(checkResult({ ...result, numbers: [...result.numbers, result.numbers[0]] }, BASE_SETTINGS), []);
+    assert.notDeepEqual(checkResult(result, { minRegionSize: 1e6 }), []);
+});
+
+test('palettes over 255 colors keep every index', async () => {
+    // 300 flat blocks, each its own color, assigned to exactly those colors
+    const colors = Array.from({ length: 300 }, (_, i) => [(i * 37) % 256, (i * 91) % 256, Math.floor(i / 300 * 255)]);
+    const imageData = makeImage(480, 360, (x, y) => colors[Math.floor(y / 24) * 20 + Math.floor(x / 24)]);
+    const result = await processImage({
+        imageData,
+        settings: { ...BASE_SETTINGS, minRegionSize: 1, maxFontSize: 8 },
+        palette: { colors: colors.map(([r, g, b]) => rgb2lab(r, g, b)), locked: [], recluster: false }
+    });
+
+    assert.ok(result.labels instanceof Uint16Array);
+    assert.equal(result.labels.reduce((a, b) => Math.max(a, b)), 299);
+    assert.deepEqual(checkResult(result, { minRegionSize: 1 }), []);
+});
+
+test('invalid color counts are rejected', async () => {
+    const imageData = SYNTHETIC.circles();
+    for (const kColors of [0, -3, 2.5, 'many', MAX_COLORS + 1]) {
+        await assert.rejects(runPipeline(imageData, { kColors }), /kColors must be a whole number/);
+    }
+});
+
+test('edits keep the region map and table up to date', async () => {
+    const result = await runPipeline(SYNTHETIC.circles(), { kColors: 3 });
+    const region = result.regions.find(r => r.neighbors.length > 0);
+    const merged = mergeWithNeighbor(result, region.id, region.neighbors[0]);
+    assert.equal(merged.regions.length, result.regions.length - 1);
+    assert.deepEqual(checkResult(merged, BASE_SETTINGS), []);
+
+    // A dab too small for its number is reported, not silently left blank
+    const background = merged.labels[0];
+    const dabbed = paintStroke(merged, [{ x: 4, y: 4 }], 1, (background + 1) % result.palette.length);
+    assert.equal(dabbed.validation.merged, result.validation.merged);
+    assert.ok(dabbed.validation.cramped >= 1);
+    assert.equal(dabbed.validation.unlabeled, dabbed.numbers.filter(n => n.leader).length);
+    assert.ok(dabbed.validation.unlabeled >= 1);
+});
+
+test('saliency sampling keeps a small, distinct color', async () => {
+    // A 6 px red square on a wide gradient: k-means alone spends all four
+    // colors on the gradient
+    const imageData = makeImage(120, 80, (x, y) => (
+        x >= 80 && x < 86 && y >= 20 && y < 26 ? [220, 30, 40] : [40 + x, 120 + y, 200 - x]
+    ));
+    const isRed = (c) => c[1] > 40;
+
+    const plain = await runPipeline(imageData, { kColors: 4 });
+    const salient = await runPipeline(imageData, { kColors: 4, saliency: 1 });
+    assert.ok(!plain.palette.some(isRed));
+    assert.ok(salient.palette.some(isRed));
+});
+
+test('the closest palette pair is reported', async () => {
+    const palette = [[50, 0, 0], [80, 0, 0], [52, 1, 0], [20, 40, 40]];
+    const spread = paletteSpread(palette, { metric: 'cie76' });
+    assert.deepEqual(spread.pair, [0, 2]);
+    assert.ok(Math.abs(spread.minDeltaE - Math.sqrt(5)) < 1e-9);
+    assert.equal(paletteSpread([[50, 0, 0]]), null);
+
+    const result = await runPipeline(SYNTHETIC.circles(), { kColors: 3, colorDistance: { metric: 'ciede2000' } });
+    assert.equal(result.paletteSpread.metric, 'ciede2000');
+    assert.ok(result.paletteSpread.minDeltaE > 10);
+});
+
+test('unknown metrics and bad weights are rejected', async () => {
+    const imageData = SYNTHETIC.circles();
+    await assert.rejects(runPipeline(imageData, { colorDistance: { metric: 'cie2020' } }), /Unknown color distance metric/);
+    await assert.rejects(runPipeline(imageData, { colorDistance: { lightnessWeight: 0 } }), /lightnessWeight must be a positive number/);
+});
+
+test('auto colors recommends the number of distinct colors on flat images', async () => {
+    for (const [name, expected] of [['stripes', 3], ['checkerboard', 2], ['circles', 3]]) {
+        const { candidates, recommended } = await suggestColorCount({ imageData: SYNTHETIC[name](), settings: BASE_SETTINGS });
+        assert.equal(recommended, expected, name);
+        assert.ok(candidates.every(c => c.score >= 0 && c.score <= 1), name);
+        assert.ok(candidates.every((c, i) => i === 0 || c.k > candidates[i - 1].k), name);
+    }
+});
+
+test('auto colors stays within maxColors and is deterministic', async () => {
+    const imageData = loadFixtures().find(f => f.name === 'sunset.png').imageData;
+    const settings = { ...BASE_SETTINGS, seed: undefined, maxColors: 20 };
+    const a = await suggestColorCount({ imageData, settings });
+    const b = await suggestColorCount({ imageData, settings });
+    assert.deepEqual(a, b);
+    assert.equal(a.candidates[a.candidates.length - 1].k, 20);
+    assert.ok(a.recommended > 3 && a.recommended <= 20);
+    // Scores don't depend on which sizes were tried
+    const all = await suggestColorCount({ imageData, settings: { ...settings, maxColors: 50 } });
+    assert.deepEqual(all.candidates.slice(0, a.candidates.length), a.candidates);
+    await assert.rejects(suggestColorCount({ imageData, settings: { ...settings, maxColors: 1 } }), /maxColors must be at least 2/);
+});
+
+test('auto colors scoring charges for extra paints', () => {
+    const same = { error: 1, minDeltaE: 20, regions: 10 };
+    const scored = scoreColorCounts([{ k: 4, ...same }, { k: 5, ...same }], { baseError: 10, regionCapacity: 100 });
+    assert.ok(scored.candidates[0].score > scored.candidates[1].score, 'one more paint for nothing scores lower');
+    assert.equal(scored.recommended, 4);
+});
+
+// 16 px blocks in 12 colors, scattered
+function blocks() {
+    const colors = [[230, 60, 50], [40, 140, 70], [30, 70, 200], [240, 200, 40], [150, 50, 160], [250, 250, 250],
+        [20, 20, 20], [120, 200, 230], [240, 140, 180], [110, 80, 40], [160, 160, 160], [60, 200, 140]];
+    return makeImage(480, 320, (x, y) => colors[(((Math.floor(x / 16) * 73856093) ^ (Math.floor(y / 16) * 19349663)) >>> 0) % 12]);
+}
+
+test('metrics of the stripes template', async () => {
+    const { metrics } = await runPipeline(SYNTHETIC.stripes());
+    assert.deepEqual(
+        { regions: metrics.regions, medianArea: metrics.medianArea, smallestArea: metrics.smallestArea, paints: metrics.paints },
+        { regions: 6, medianArea: 512, smallestArea: 512, paints: 3 }
+    );
+    // Five inner borders the height of the image; the frame doesn't count
+    assert.equal(metrics.outlineLength, 5 * 32);
+    assert.equal(metrics.numberDensity, 6 / (96 * 32) * 10000);
+    assert.equal(metrics.level, 'beginner');
+});
+
+test('more, smaller regions and more paints score as harder', async () => {
+    const imageData = blocks();
+    const easy = await runPipeline(imageData, { kColors: 4, minRegionSize: 600 });
+    const hard = await runPipeline(imageData, { kColors: 12, minRegionSize: 4 });
+    assert.ok(hard.metrics.regions > easy.metrics.regions);
+    assert.ok(hard.metrics.difficulty > easy.metrics.difficulty);
+    assert.equal(difficultyLevel(0).key, 'beginner');
+    assert.equal(difficultyLevel(100).key, 'expert');
+});
+
+test('difficulty presets adjust the settings until the region count fits', async () => {
+    // 600 blocks, too many for a beginner
+    const imageData = blocks();
+    const [min, max] = DIFFICULTY_PRESETS.beginner.targetRegions;
+
+    const result = await processPreset({ imageData, settings: { seed: SEED } }, 'beginner');
+    assert.equal(result.preset.key, 'beginner');
+    assert.ok(result.preset.runs > 1);
+    assert.ok(result.preset.inRange);
+    assert.ok(result.metrics.regions >= min && result.metrics.regions <= max, `${result.metrics.regions} regions`);
+
+    // The reported settings make the same template on their own
+    const again = await processImage({ imageData, settings: result.preset.settings });
+    assert.equal(again.metrics.regions, result.metrics.regions);
+
+    // Also when no seed was given
+    const unseeded = await processPreset({ imageData, settings: {} }, 'beginner');
+    const replay = await processImage({ imageData, settings: unseeded.preset.settings });
+    assert.equal(unseeded.preset.settings.seed, unseeded.seed);
+    assert.deepEqual(replay.labels, unseeded.labels);
+
+    await assert.rejects(processPreset({ imageData, settings: {} }, 'master'), /Unknown difficulty preset/);
+});
+
+test('preset adjustment moves toward the target and stops in range', () => {
+    const preset = DIFFICULTY_PRESETS.intermediate;
+    const settings = { kColors: 18, minRegionSize: 35 };
+    const fewer = adjustForTarget(settings, preset, { regions: 900 });
+    assert.ok(fewer.minRegionSize > 35 && fewer.kColors < 18);
+    const more = adjustForTarget(settings, preset, { regions: 50 });
+    assert.ok(more.minRegionSize < 35 && more.kColors > 18);
+    assert.equal(adjustForTarget(settings, preset, { regions: 200 }), null);
+    assert.equal(adjustForTarget({ kColors: 50, minRegionSize: 5 }, preset, { regions: 10 }), null);
+});
+
+test('preset speck sizes stay on the app slider', () => {
+    const { min, max, step } = REGION_SIZE_SLIDER;
+    const onSlider = (size) => size >= min && size <= max && size % step === 0;
+
+    for (const preset of Object.values(DIFFICULTY_PRESETS)) {
+        assert.ok(onSlider(preset.settings.minRegionSize), `${preset.label} starts at ${preset.settings.minRegionSize}px`);
+        for (const regions of [1, 10, 100, 1000, 10000, 100000]) {
+            let settings = { ...preset.settings };
+            // Follow the adjustments to where they stop
+            for (let runs = 0; runs < 20 && settings; runs++) {
+                assert.ok(onSlider(settings.minRegionSize), `${preset.label} adjusted to ${settings.minRegionSize}px`);
+                settings = adjustForTarget(settings, preset, { regions });
+            }
+        }
+    }
+});
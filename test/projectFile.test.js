@@ -0,0 +1,32 @@
+// Reading project files that are broken or from other app versions.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zipSync, strToU8 } from 'fflate';
+import { readProject, PROJECT_VERSION } from '../src/utils/projectFile.js';
+
+// Helper: Project zip holding just a project.json with `fields`
+function projectBlob(fields) {
+    const source = { file: 'source.png', type: 'image/png' };
+    return new Blob([zipSync({
+        'project.json': strToU8(JSON.stringify({ source, ...fields })),
+        'source.png': new Uint8Array([1, 2, 3])
+    })]);
+}
+
+test('projects from the current version open', async () => {
+    const { project, result } = await readProject(projectBlob({ version: PROJECT_VERSION }));
+    assert.equal(project.version, PROJECT_VERSION);
+    assert.equal(result, null);
+});
+
+test('projects with a missing or impossible version are rejected', async () => {
+    for (const version of [undefined, 0, -3, 1.5]) {
+        await assert.rejects(readProject(projectBlob({ version })), /no valid version/);
+    }
+    await assert.rejects(readProject(projectBlob({ version: PROJECT_VERSION + 1 })), /newer version/);
+});
+
+test('files that are not projects are rejected', async () => {
+    await assert.rejects(readProject(new Blob(['hello'])), /Not a project file/);
+    await assert.rejects(readProject(new Blob([zipSync({ 'project.json': strToU8('{') })])), /Not a project file/);
+});